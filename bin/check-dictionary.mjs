@@ -0,0 +1,264 @@
+/**
+ * Checks the dictionary files before they are deployed.
+ *
+ * `lint` validates the files in the public output folder and exits with code 1 on any problem:
+ *   - `{length}.txt` exists for every length in `Config.wordLengthOptions` and decodes
+ *   - every word has that length, is uppercase and uses only letters found on every layout
+ *     of `Config.keyboardLayouts`
+ *   - each list is sorted and free of duplicates
+ *   - every answer in `{length}.answers.txt`, when present, is also an accepted guess
+ *   - `{length}.definitions.json`, when present, only defines accepted guesses, each with a text
+ *   - `versions.json` lists the current content hash of every length, as `generate-dictionary.mjs` writes it
+ *   - no stray files are left in the folder
+ *
+ * `diff <from> [<to>]` lists the guesses and answers added and removed per length between two
+ * versions of the dictionary. Each side is a directory, or a git revision whose committed
+ * `public/dictionary` is read; `<to>` defaults to the public output folder. Revisions from before
+ * the compact format are read from their `{length}.json` files.
+ *
+ * Usage: node bin/check-dictionary.mjs lint
+ *        node bin/check-dictionary.mjs diff <from> [<to>]
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { join } from 'path';
+import Config from '../src/config.js';
+import { decodeWordList } from '../src/utilities/wordList.js';
+import { getVersion } from './dictionary-version.mjs';
+
+const { wordLengthOptions, dictionaryPath, keyboardLayouts } = Config;
+
+/** Folder of the dictionary files, relative to the project root. */
+const DICTIONARY_DIR = join('public', dictionaryPath.replace(/^\/+/, ''));
+
+/**
+ * Letters a word may use: those on every on-screen keyboard layout, so any word can be typed on any of them.
+ * @type {Set<string>}
+ */
+const ALPHABET = new Set(
+  Object.values(keyboardLayouts)
+    .map(rows => rows.flat().filter(key => key.length === 1))
+    .reduce((common, letters) => common.filter(letter => letters.includes(letter)))
+);
+
+/**
+ * @typedef {(name: string) => Buffer | null} FileReader
+ * Reads one file of a dictionary version by name, or returns `null` when it does not exist.
+ */
+
+/**
+ * Opens a dictionary version for reading: a directory on disk or a git revision.
+ * @param {string} source - Path to a directory, or a revision such as `HEAD~1` or `v1.2.0`.
+ * @returns {FileReader}
+ * @throws {Error} When `source` is neither.
+ */
+function openSource(source) {
+  if (existsSync(source) && statSync(source).isDirectory()) {
+    return name => (existsSync(join(source, name)) ? readFileSync(join(source, name)) : null);
+  }
+
+  try {
+    execFileSync('git', ['rev-parse', '--verify', '--quiet', `${source}^{commit}`], { stdio: 'ignore' });
+  } catch {
+    throw new Error(`${source} is neither a directory nor a git revision`);
+  }
+
+  return (name) => {
+    try {
+      return execFileSync('git', ['show', `${source}:${DICTIONARY_DIR}/${name}`], { stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * Reads one list in the compact format, or in the JSON format used before it.
+ * @param {FileReader} read - The dictionary version.
+ * @param {string} name - File name without the extension, e.g. `5` or `5.answers`.
+ * @param {number} len - Length of the words in the list.
+ * @returns {Array<string> | null} The words as stored, or `null` when neither file exists.
+ */
+function readList(read, name, len) {
+  const compact = read(`${name}.txt`);
+  if (compact) return decodeWordList(compact.toString('utf-8'), len);
+
+  const json = read(`${name}.json`);
+  return json ? JSON.parse(json.toString('utf-8')) : null;
+}
+
+/**
+ * Finds what is wrong with one list.
+ * @param {Array<string>} words - The decoded list.
+ * @param {number} len - The length every word must have.
+ * @returns {Array<string>} One message per problem; empty when the list is valid.
+ */
+function checkList(words, len) {
+  /** @type {Array<string>} */
+  const problems = [];
+
+  words.forEach((word, index) => {
+    if (word.length !== len) problems.push(`${word}: ${word.length} letters instead of ${len}`);
+    if (word !== word.toUpperCase()) problems.push(`${word}: not uppercase`);
+
+    const foreign = [...word].filter(letter => !ALPHABET.has(letter.toUpperCase()));
+    if (foreign.length > 0) problems.push(`${word}: letters not on the keyboard (${foreign.join(', ')})`);
+
+    const previous = words[index - 1];
+    if (previous === word) problems.push(`${word}: duplicate`);
+    else if (previous !== undefined && previous > word) problems.push(`${word}: out of order after ${previous}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Finds what is wrong with the definitions of one length.
+ * @param {string} dir - The dictionary folder.
+ * @param {number} len - The word length.
+ * @param {Set<string>} allowed - The accepted guesses of this length.
+ * @returns {Array<string>} One message per problem; empty when the file is valid or absent.
+ */
+function checkDefinitions(dir, len, allowed) {
+  const name = `${len}.definitions.json`;
+  if (!existsSync(join(dir, name))) return [];
+
+  /** @type {unknown} */
+  let definitions;
+  try {
+    definitions = JSON.parse(readFileSync(join(dir, name), 'utf-8'));
+  } catch (err) {
+    return [`${name}: ${err instanceof Error ? err.message : err}`];
+  }
+
+  if (definitions === null || typeof definitions !== 'object' || Array.isArray(definitions)) return [`${name}: not an object`];
+
+  return Object.entries(definitions).flatMap(([word, entry]) => [
+    ...(allowed.has(word) ? [] : [`${name}: ${word}: not an accepted guess`]),
+    ...(typeof entry?.definition === 'string' && entry.definition ? [] : [`${name}: ${word}: no definition text`]),
+  ]);
+}
+
+/**
+ * Validates the public dictionary folder and prints every problem found.
+ * @returns {boolean} Whether the folder is valid.
+ */
+function lint() {
+  const dir = join(process.cwd(), DICTIONARY_DIR);
+  const read = openSource(dir);
+
+  /** @type {Array<string>} */
+  const problems = [];
+  const expected = new Set(['versions.json']);
+
+  /** @type {Record<string, unknown>} */
+  let versions = {};
+  try {
+    versions = JSON.parse(readFileSync(join(dir, 'versions.json'), 'utf-8'));
+  } catch (err) {
+    problems.push(`versions.json: ${err instanceof Error ? err.message : err}`);
+  }
+
+  for (const len of wordLengthOptions) {
+    expected.add(`${len}.txt`).add(`${len}.answers.txt`).add(`${len}.definitions.json`);
+
+    const [words, answers] = [String(len), `${len}.answers`].map((name) => {
+      try {
+        const list = readList(read, name, len);
+        if (list) problems.push(...checkList(list, len).map(problem => `${name}.txt: ${problem}`));
+        return list;
+      } catch (err) {
+        problems.push(`${name}.txt: ${err instanceof Error ? err.message : err}`);
+        return null;
+      }
+    });
+
+    if (!words) {
+      if (!existsSync(join(dir, `${len}.txt`))) problems.push(`${len}.txt: missing`);
+      continue;
+    }
+
+    const allowed = new Set(words);
+    const strays = answers?.filter(answer => !allowed.has(answer)) ?? [];
+    if (strays.length > 0) problems.push(`${len}.answers.txt: not accepted as guesses: ${strays.join(', ')}`);
+
+    problems.push(...checkDefinitions(dir, len, allowed));
+
+    if (versions[len] !== getVersion(dir, len)) {
+      problems.push(`versions.json: version of length ${len} is ${versions[len] ?? 'missing'}, files hash to ${getVersion(dir, len)}`);
+    }
+  }
+
+  for (const name of readdirSync(dir)) {
+    if (!expected.has(name)) problems.push(`${name}: not a dictionary file for ${wordLengthOptions.join('/')}-letter words`);
+  }
+
+  problems.forEach(problem => console.error(`  ${problem}`));
+  console.log(problems.length === 0 ? `${DICTIONARY_DIR}: OK` : `${DICTIONARY_DIR}: ${problems.length} problem(s)`);
+
+  return problems.length === 0;
+}
+
+/**
+ * Prints the words added to and removed from one list.
+ * @param {string} label - What the list holds, e.g. `5-letter guesses`.
+ * @param {Array<string>} before - The old list.
+ * @param {Array<string>} after - The new list.
+ */
+function printChanges(label, before, after) {
+  const old = new Set(before);
+  const current = new Set(after);
+
+  const added = after.filter(word => !old.has(word));
+  const removed = before.filter(word => !current.has(word));
+
+  console.log(`${label}: +${added.length} -${removed.length}`);
+  removed.forEach(word => console.log(`  - ${word}`));
+  added.forEach(word => console.log(`  + ${word}`));
+}
+
+/**
+ * Compares two versions of the dictionary and prints the changes per length.
+ * @param {string} from - The old version: a directory or a git revision.
+ * @param {string} to - The new version: a directory or a git revision.
+ */
+function diff(from, to) {
+  const readBefore = openSource(from);
+  const readAfter = openSource(to);
+
+  console.log(`Comparing ${from} -> ${to}\n`);
+
+  for (const len of wordLengthOptions) {
+    const before = readList(readBefore, String(len), len) ?? [];
+    const after = readList(readAfter, String(len), len) ?? [];
+
+    printChanges(`${len}-letter guesses`, before, after);
+    printChanges(
+      `${len}-letter answers`,
+      readList(readBefore, `${len}.answers`, len) ?? before,
+      readList(readAfter, `${len}.answers`, len) ?? after
+    );
+    console.log('');
+  }
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'lint' && args.length === 0) {
+    process.exitCode = lint() ? 0 : 1;
+  } else if (command === 'diff' && args.length >= 1 && args.length <= 2) {
+    diff(args[0], args[1] ?? join(process.cwd(), DICTIONARY_DIR));
+  } else {
+    console.error('Usage: node bin/check-dictionary.mjs lint\n       node bin/check-dictionary.mjs diff <from> [<to>]');
+    process.exitCode = 2;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err instanceof Error ? err.message : err);
+  process.exitCode = 1;
+}
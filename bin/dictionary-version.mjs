@@ -0,0 +1,24 @@
+/**
+ * Content hash of the dictionary files of one word length, shared by `generate-dictionary.mjs`,
+ * which writes it to `versions.json`, and `check-dictionary.mjs`, which checks it there.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+/**
+ * Hashes the lists of one word length as written, so any change to either of them yields a new version.
+ * @param {string} dir - The dictionary folder.
+ * @param {number} len - The word length.
+ * @returns {string | null} The first 12 hex digits of the SHA-256, or `null` when the length has no files.
+ */
+export function getVersion(dir, len) {
+  const files = [`${len}.txt`, `${len}.answers.txt`].map(name => join(dir, name)).filter(existsSync);
+  if (files.length === 0) return null;
+
+  const hash = createHash('sha256');
+  for (const file of files) hash.update(readFileSync(file));
+
+  return hash.digest('hex').slice(0, 12);
+}
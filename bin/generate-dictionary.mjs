@@ -1,17 +1,60 @@
 /**
- * Downloads the Bulgarian dictionary CSV from HuggingFace, filters to valid Cyrillic
- * words of the configured lengths with the allowed POS tags, and writes one JSON file
- * per word length into the public output folder. Files are written only after a
- * successful parse so existing files are never corrupted by a failed run.
+ * Reads the Bulgarian dictionary CSV, filters to valid Cyrillic words of the configured lengths
+ * with the selected POS tags, and writes two word lists per word length into the public output
+ * folder, in the compact form of `encodeWordList`:
+ *   {length}.txt         - every accepted guess
+ *   {length}.answers.txt - the curated subset the game draws targets from
+ * and then `versions.json`, a content hash per word length that the game uses to tell a cached
+ * copy of the lists from the deployed one.
+ * Files are written only after a successful parse so existing files are never corrupted
+ * by a failed run. The same inputs always produce byte-identical files. A length that ends up
+ * with no words has the files of earlier runs removed, so they are neither served nor versioned;
+ * a run without `--definitions` removes the definitions of every length the same way.
+ *
+ * The CSV is downloaded from HuggingFace unless `--source <path>` names a local copy, which
+ * lets the script run offline. `--tags N,A` replaces the default `ALLOWED_TAGS`.
+ *
+ * `--hunspell <path>` adds the word forms of a local Hunspell dictionary, such as `bg_BG.dic`
+ * with its `bg_BG.aff` next to it: every stem is expanded through its prefix and suffix rules, the
+ * forms go through the same length and `VALID_CHARS` checks as the CSV, and are merged with it.
+ * Hunspell has no POS tags, so `--tags` does not apply to these forms. The option may be repeated.
+ *
+ * `--blocklist <path>` and `--allowlist <path>` name text files with one word per line;
+ * blank lines and lines starting with `#` are ignored, and both options may be repeated.
+ * Every listed word is applied to the list of its own length: blocked words are removed from the
+ * guesses and answers, allowed words are added as guesses even when the source lacks them or
+ * tags them otherwise. A word on both lists stays blocked.
+ *
+ * Answers are chosen from a local lexicon file passed with `--lexicon <path>`: a CSV with
+ * a header row and `word,lemma,rank` columns, where rank 1 is the most common word of a frequency
+ * list. Only ranked base forms (word equal to its lemma) qualify, and the `MAX_ANSWERS` best ranked
+ * per length are kept.
+ * Without a lexicon, or for a length it does not cover, every accepted word is also an answer.
+ *
+ * `--definitions <path>` names a local CSV with a header row and `word,definition` columns; the
+ * definition is the rest of the line. For each length, `{length}.definitions.json` then maps every
+ * accepted word with a definition to `{ definition }`. A word without one of its own borrows the
+ * definition of its lemma from the lexicon, as `{ definition, lemma }`. The game downloads these
+ * files only at the end of a round, so they do not add to the word lists.
+ *
+ * A report of how many words each source contributed and each filter removed or added is printed per length;
+ * with `--dry-run` nothing is written.
  *
  * Data source: https://huggingface.co/datasets/thebogko/bulgarian-dictionary-2024
+ *
+ * Usage: node bin/generate-dictionary.mjs [--source <path>] [--tags <list>] [--hunspell <path>]...
+ *                                         [--blocklist <path>]... [--allowlist <path>]... [--lexicon <path>]
+ *                                         [--definitions <path>] [--dry-run]
  */
 
-import { writeFileSync, mkdirSync } from 'fs';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, rmSync, createReadStream } from 'fs';
 import { createInterface } from 'readline';
 import { Readable } from 'stream';
 import { join } from 'path';
+import { parseArgs } from 'util';
 import Config from '../src/config.js';
+import { encodeWordList } from '../src/utilities/wordList.js';
+import { getVersion } from './dictionary-version.mjs';
 
 const { wordLengthOptions, dictionaryPath } = Config;
 
@@ -25,7 +68,7 @@ const OUT_DIR = join(process.cwd(), 'public', dictionaryPath.replace(/^\/+/, '')
 const CSV_URL = 'https://huggingface.co/datasets/thebogko/bulgarian-dictionary-2024/resolve/main/single_words_bg.csv';
 
 /**
- * Allowed part-of-speech tags from the dataset schema.
+ * Part-of-speech tags from the dataset schema.
  *
  * The `tag` column is a capitalised character representing the POS tag.
  * All 11 possible values:
@@ -43,6 +86,12 @@ const CSV_URL = 'https://huggingface.co/datasets/thebogko/bulgarian-dictionary-2
  *
  * @type {Array<string>}
  */
+const KNOWN_TAGS = ['N', 'A', 'V', 'D', 'P', 'T', 'M', 'C', 'I', 'R', 'H'];
+
+/**
+ * Tags kept when `--tags` is not given.
+ * @type {Array<string>}
+ */
 const ALLOWED_TAGS = ['N', 'A', 'V', 'D', 'P'];
 
 /**
@@ -53,6 +102,19 @@ const ALLOWED_TAGS = ['N', 'A', 'V', 'D', 'P'];
  */
 const VALID_CHARS = [...'АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЬЮЯ'];
 
+/**
+ * Upper bound on answers per word length. Keeps targets to words most players know,
+ * while rarer base forms remain valid guesses.
+ * @type {number}
+ */
+const MAX_ANSWERS = 2500;
+
+/**
+ * @typedef {object} LexiconEntry
+ * @property {string} lemma - Uppercased base form of the word.
+ * @property {number} rank - Position in a frequency list; 1 is the most common word.
+ */
+
 /**
  * Returns true when every character in `word` belongs to the game keyboard.
  * @param {string} word - Uppercased candidate word.
@@ -62,28 +124,452 @@ function isValidWord(word) {
   return word.length > 0 && [...word].every(c => VALID_CHARS.includes(c));
 }
 
+/**
+ * Opens a line reader over a local file or a downloaded body.
+ * @param {NodeJS.ReadableStream} input - The text to read.
+ * @returns {import('readline').Interface}
+ */
+function readLines(input) {
+  return createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Reads the local lexicon CSV (`word,lemma,rank` with a header row) into a lookup by
+ * uppercased word. Rows with a missing lemma or a rank that is not a positive number are skipped.
+ * @param {string} path - Path to the lexicon file.
+ * @returns {Promise<Map<string, LexiconEntry>>}
+ */
+async function readLexicon(path) {
+  /** @type {Map<string, LexiconEntry>} */
+  const lexicon = new Map();
+  let headerSkipped = false;
+
+  for await (const line of readLines(createReadStream(path, { encoding: 'utf-8' }))) {
+    if (!headerSkipped) {
+      headerSkipped = true;
+      continue; // skip CSV header row
+    }
+
+    const [word, lemma, rank] = line.split(',').map(cell => cell.trim());
+    if (!word || !lemma || !(Number(rank) > 0)) continue;
+
+    lexicon.set(word.toUpperCase(), { lemma: lemma.toUpperCase(), rank: Number(rank) });
+  }
+
+  return lexicon;
+}
+
+/**
+ * Picks the answer pool for one word length: ranked base forms, most common first, capped at
+ * `MAX_ANSWERS`, then sorted alphabetically like the word list.
+ * @param {Set<string>} words - Every accepted word of this length.
+ * @param {Map<string, LexiconEntry> | null} lexicon - Lemma and rank data, or `null` to accept every word.
+ * @returns {Array<string>}
+ */
+function selectAnswers(words, lexicon) {
+  if (!lexicon) return [...words].sort();
+
+  const answers = [...words]
+    .filter(word => lexicon.get(word)?.lemma === word)
+    .sort((a, b) => (lexicon.get(a)?.rank ?? 0) - (lexicon.get(b)?.rank ?? 0) || (a < b ? -1 : 1))
+    .slice(0, MAX_ANSWERS)
+    .sort();
+
+  // The game cannot start without targets, so a length the lexicon does not cover keeps every word
+  return answers.length > 0 ? answers : [...words].sort();
+}
+
+/**
+ * @typedef {object} WordDefinition
+ * One entry of `{length}.definitions.json`.
+ * @property {string} definition - What the word means.
+ * @property {string} [lemma] - Base form the definition was borrowed from, when the word has none of its own.
+ */
+
+/**
+ * Reads the local definitions CSV (`word,definition` with a header row) into a lookup by uppercased
+ * word. The definition is the rest of the line, so it may contain commas; a quoted one is unquoted.
+ * Rows without a definition are skipped, and the first definition of a word wins.
+ * @param {string} path - Path to the definitions file.
+ * @returns {Promise<Map<string, string>>}
+ */
+async function readDefinitions(path) {
+  /** @type {Map<string, string>} */
+  const definitions = new Map();
+  let headerSkipped = false;
+
+  for await (const line of readLines(createReadStream(path, { encoding: 'utf-8' }))) {
+    if (!headerSkipped) {
+      headerSkipped = true;
+      continue; // skip CSV header row
+    }
+
+    const comma = line.indexOf(',');
+    if (comma === -1) continue;
+
+    const word = line.slice(0, comma).trim().toUpperCase();
+    let definition = line.slice(comma + 1).trim();
+    if (/^".*"$/.test(definition)) definition = definition.slice(1, -1).replace(/""/g, '"').trim();
+
+    if (word && definition && !definitions.has(word)) definitions.set(word, definition);
+  }
+
+  return definitions;
+}
+
+/**
+ * Picks the definition of every word of one length that has one, falling back to the definition
+ * of its lemma for inflected forms.
+ * @param {Array<string>} words - Every accepted word of this length, sorted.
+ * @param {Map<string, string>} definitions - Definitions by uppercased word.
+ * @param {Map<string, LexiconEntry> | null} lexicon - Lemma data, or `null` to use own definitions only.
+ * @returns {Record<string, WordDefinition>} Definitions by word, in the order of `words`.
+ */
+function defineWords(words, definitions, lexicon) {
+  /** @type {Record<string, WordDefinition>} */
+  const defined = {};
+
+  for (const word of words) {
+    const own = definitions.get(word);
+    const lemma = lexicon?.get(word)?.lemma;
+    const borrowed = lemma && lemma !== word ? definitions.get(lemma) : undefined;
+
+    if (own) defined[word] = { definition: own };
+    else if (lemma && borrowed) defined[word] = { definition: borrowed, lemma };
+  }
+
+  return defined;
+}
+
+/**
+ * @typedef {object} LengthReport
+ * What happened to the words of one length on the way from the source to the written lists.
+ * @property {number} rows - Source rows with a word of this length.
+ * @property {number} otherTags - Rows dropped for a tag outside the selected set.
+ * @property {number} invalid - Rows dropped for characters outside the game keyboard.
+ * @property {number} duplicates - Rows repeating a word already kept, usually under another tag.
+ * @property {number} csv - Words the CSV contributed.
+ * @property {number} hunspell - Word forms the Hunspell dictionaries contributed, whether or not the CSV has them.
+ * @property {number} hunspellOnly - Of those, forms the CSV lacks.
+ * @property {number} blocked - Words removed by a blocklist.
+ * @property {number} allowed - Words added by an allowlist.
+ * @property {number} words - Accepted guesses written.
+ * @property {number} answers - Answers written.
+ * @property {number} defined - Accepted guesses with a definition, their own or their lemma's.
+ */
+
+/**
+ * Reads a blocklist or allowlist: one word per line, blank lines and `#` comments ignored.
+ * @param {string} path - Path to the list file.
+ * @returns {Promise<Array<string>>} The uppercased words, in file order.
+ */
+async function readWordFile(path) {
+  /** @type {Array<string>} */
+  const words = [];
+
+  for await (const line of readLines(createReadStream(path, { encoding: 'utf-8' }))) {
+    const word = line.trim();
+    if (word && !word.startsWith('#')) words.push(word.toUpperCase());
+  }
+
+  return words;
+}
+
+/**
+ * Parses the `--tags` option into tag letters, checked against the dataset schema.
+ * @param {string | undefined} value - Comma-separated tags, e.g. `N,A,V`; `undefined` for the default set.
+ * @returns {Array<string>}
+ * @throws {Error} When a tag is not one of `KNOWN_TAGS` or the list is empty.
+ */
+function parseTags(value) {
+  if (value === undefined) return ALLOWED_TAGS;
+
+  const tags = [...new Set(value.split(',').map(tag => tag.trim().toUpperCase()).filter(Boolean))];
+  const unknown = tags.filter(tag => !KNOWN_TAGS.includes(tag));
+
+  if (unknown.length > 0) throw new Error(`Unknown POS tags: ${unknown.join(', ')} (expected some of ${KNOWN_TAGS.join(', ')})`);
+  if (tags.length === 0) throw new Error('--tags needs at least one tag');
+
+  return tags;
+}
+
+/**
+ * @typedef {object} AffixRule
+ * One line of a `PFX`/`SFX` class in a Hunspell `.aff` file.
+ * @property {string} strip - Letters removed from the stem before adding; empty for none.
+ * @property {string} add - Letters added in their place; empty for none.
+ * @property {Array<string>} flags - Continuation flags of the affixed form.
+ * @property {RegExp} condition - What the stem must start (prefixes) or end (suffixes) with.
+ */
+/**
+ * @typedef {object} AffixClass
+ * All rules behind one affix flag.
+ * @property {'PFX' | 'SFX'} type - Whether the rules add a prefix or a suffix.
+ * @property {boolean} cross - Whether the prefix may combine with suffixes that also allow it.
+ * @property {Array<AffixRule>} rules - The rules, in file order.
+ */
+/**
+ * @typedef {object} AffixFile
+ * The parts of a Hunspell `.aff` file needed to expand stems into word forms.
+ * @property {string} encoding - Label of the encoding both files are written in, for `TextDecoder`.
+ * @property {'char' | 'long' | 'num' | 'UTF-8'} flagType - How flags are written.
+ * @property {Array<string>} aliases - Flag sets of `AF` lines; a stem may name one by its 1-based index.
+ * @property {Map<string, AffixClass>} classes - Affix classes by flag.
+ * @property {Set<string>} skipFlags - `NEEDAFFIX` and `ONLYINCOMPOUND` flags: a stem or affixed form
+ * carrying one is not a word by itself, though its affixed forms may be.
+ * @property {string | null} forbiddenFlag - `FORBIDDENWORD` flag: a stem carrying it is left out with all its forms.
+ */
+
+/**
+ * Reads the `SET` line of a Hunspell `.aff` file. The line is ASCII in every encoding, so the
+ * file can be searched as Latin-1 before its real encoding is known.
+ * @param {Buffer} aff - The raw `.aff` file.
+ * @returns {string} A `TextDecoder` label; Hunspell's `microsoft-cp1251` style becomes `windows-1251`.
+ */
+function getHunspellEncoding(aff) {
+  const set = /^SET\s+(\S+)/m.exec(aff.toString('latin1'))?.[1] ?? 'ISO8859-1';
+  return set.replace(/^microsoft-cp/i, 'windows-').toLowerCase();
+}
+
+/**
+ * Turns a Hunspell affix condition (letters, `.` and `[...]`/`[^...]` groups) into a regular expression.
+ * @param {string} condition - The condition field; `.` matches any stem.
+ * @param {'PFX' | 'SFX'} type - Prefix conditions match the start of the stem, suffix conditions its end.
+ * @returns {RegExp}
+ */
+function parseCondition(condition, type) {
+  const pattern = condition.replace(/\[\^?[^\]]*\]|./gu, (token) => {
+    if (token.startsWith('[') || token === '.') return token;
+    return token.replace(/[\\^$*+?()|{}]/g, '\\$&');
+  });
+
+  return new RegExp(type === 'PFX' ? `^${pattern}` : `${pattern}$`, 'u');
+}
+
+/**
+ * Parses a Hunspell `.aff` file.
+ * @param {string} text - The decoded file.
+ * @param {string} encoding - The label it was decoded with.
+ * @returns {AffixFile}
+ */
+function parseAffixFile(text, encoding) {
+  /** @type {AffixFile} */
+  const aff = { encoding, flagType: 'char', aliases: [], classes: new Map(), skipFlags: new Set(), forbiddenFlag: null };
+  // The first `AF` line only counts the aliases; under `FLAG num` an alias can be all digits as well
+  let aliasHeaderRead = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    // Alias lines are often numbered in a trailing comment, as in `AF AbC # 5`
+    const fields = line.replace(/\s#.*$/, '').trim().split(/\s+/);
+    const [keyword] = fields;
+
+    if (keyword === 'FLAG') aff.flagType = /** @type {AffixFile['flagType']} */ (fields[1]);
+    else if (keyword === 'AF' && !aliasHeaderRead) aliasHeaderRead = true;
+    else if (keyword === 'AF') aff.aliases.push(fields[1]);
+    else if (keyword === 'NEEDAFFIX' || keyword === 'ONLYINCOMPOUND') aff.skipFlags.add(fields[1]);
+    else if (keyword === 'FORBIDDENWORD') aff.forbiddenFlag = fields[1];
+    else if (keyword === 'PFX' || keyword === 'SFX') {
+      const [, flag, ...rest] = fields;
+      const affixClass = aff.classes.get(flag);
+
+      if (!affixClass) {
+        // The first line of a class is its header: `SFX flag cross-product count`
+        aff.classes.set(flag, { type: keyword, cross: rest[0] === 'Y', rules: [] });
+        continue;
+      }
+
+      const [strip, addField = '0', condition = '.'] = rest;
+      const [add, flags = ''] = addField.split('/');
+
+      affixClass.rules.push({
+        strip: strip === '0' ? '' : strip,
+        add: add === '0' ? '' : add,
+        flags: parseFlags(flags, aff),
+        condition: parseCondition(condition, keyword),
+      });
+    }
+  }
+
+  return aff;
+}
+
+/**
+ * Splits a flag field into single flags, resolving an `AF` alias number.
+ * @param {string} field - The text after `/` in a stem or affix.
+ * @param {AffixFile} aff - The parsed `.aff` file.
+ * @returns {Array<string>}
+ */
+function parseFlags(field, aff) {
+  if (!field) return [];
+  if (aff.aliases.length > 0 && /^\d+$/.test(field)) field = aff.aliases[Number(field) - 1] ?? '';
+
+  switch (aff.flagType) {
+    case 'long': return field.match(/../gu) ?? [];
+    case 'num': return field.split(',');
+    default: return [...field];
+  }
+}
+
+/**
+ * Applies one affix class to a word.
+ * @param {string} word - The stem or an already suffixed form.
+ * @param {AffixClass} affixClass - The class to apply.
+ * @returns {Array<{ form: string, flags: Array<string> }>} Every form a matching rule produces.
+ */
+function applyAffix(word, affixClass) {
+  const forms = [];
+
+  for (const { strip, add, flags, condition } of affixClass.rules) {
+    if (!condition.test(word)) continue;
+
+    if (affixClass.type === 'SFX' && word.endsWith(strip)) {
+      forms.push({ form: word.slice(0, word.length - strip.length) + add, flags });
+    } else if (affixClass.type === 'PFX' && word.startsWith(strip)) {
+      forms.push({ form: add + word.slice(strip.length), flags });
+    }
+  }
+
+  return forms;
+}
+
+/**
+ * Expands one stem into its word forms: the stem itself, every suffix, a second suffix named
+ * as a continuation of the first, and every prefix, alone or combined with a suffix when both
+ * allow the cross product.
+ * @param {string} stem - The stem from the `.dic` file.
+ * @param {Array<string>} flags - Its flags.
+ * @param {AffixFile} aff - The parsed `.aff` file.
+ * @returns {Set<string>}
+ */
+function expandStem(stem, flags, aff) {
+  /** @type {Set<string>} */
+  const forms = new Set();
+  const isWord = (/** @type {Array<string>} */ formFlags) => !formFlags.some(flag => aff.skipFlags.has(flag));
+
+  if (isWord(flags)) forms.add(stem);
+
+  /** @type {Array<string>} */
+  const crossable = [];
+
+  for (const flag of flags) {
+    const affixClass = aff.classes.get(flag);
+    if (affixClass?.type !== 'SFX') continue;
+
+    for (const suffixed of applyAffix(stem, affixClass)) {
+      if (isWord(suffixed.flags)) forms.add(suffixed.form);
+      if (affixClass.cross) crossable.push(suffixed.form);
+
+      for (const next of suffixed.flags) {
+        const nextClass = aff.classes.get(next);
+        if (nextClass?.type !== 'SFX') continue;
+
+        for (const twice of applyAffix(suffixed.form, nextClass)) {
+          if (isWord(twice.flags)) forms.add(twice.form);
+        }
+      }
+    }
+  }
+
+  for (const flag of flags) {
+    const affixClass = aff.classes.get(flag);
+    if (affixClass?.type !== 'PFX') continue;
+
+    const bases = affixClass.cross ? [stem, ...crossable] : [stem];
+
+    for (const base of bases) {
+      for (const prefixed of applyAffix(base, affixClass)) {
+        if (isWord(prefixed.flags)) forms.add(prefixed.form);
+      }
+    }
+  }
+
+  return forms;
+}
+
+/**
+ * Reads a Hunspell dictionary - the `.dic` file and the `.aff` file next to it - and expands every
+ * stem into its word forms. Capitalised stems are proper names and are skipped, like the `H` tag of the CSV.
+ * @param {string} dicPath - Path to the `.dic` file.
+ * @returns {{ stems: number, forms: Iterable<string> }} How many stems were read, and the forms in upper case.
+ */
+function readHunspell(dicPath) {
+  const affRaw = readFileSync(dicPath.replace(/\.dic$/i, '') + '.aff');
+  const encoding = getHunspellEncoding(affRaw);
+  const decoder = new TextDecoder(encoding);
+
+  const aff = parseAffixFile(decoder.decode(affRaw), encoding);
+  const lines = decoder.decode(readFileSync(dicPath)).split(/\r?\n/);
+
+  /** @type {Set<string>} */
+  const forms = new Set();
+  let stems = 0;
+
+  // The first line holds the approximate stem count
+  for (const line of lines.slice(1)) {
+    const entry = line.trim().split(/\s+/)[0];
+    if (!entry) continue;
+
+    const slash = entry.search(/(?<!\\)\//);
+    const stem = (slash === -1 ? entry : entry.slice(0, slash)).replace(/\\\//g, '/');
+    const flags = slash === -1 ? [] : parseFlags(entry.slice(slash + 1), aff);
+
+    stems++;
+    if (stem[0] !== stem[0].toLowerCase() || flags.includes(aff.forbiddenFlag ?? '')) continue;
+
+    for (const form of expandStem(stem, flags, aff)) forms.add(form.toUpperCase());
+  }
+
+  return { stems, forms };
+}
+
 async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      source: { type: 'string' },
+      hunspell: { type: 'string', multiple: true, default: [] },
+      tags: { type: 'string' },
+      blocklist: { type: 'string', multiple: true, default: [] },
+      allowlist: { type: 'string', multiple: true, default: [] },
+      lexicon: { type: 'string' },
+      definitions: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+
+  const tags = parseTags(args.tags);
+
   console.log(`Target word lengths : ${wordLengthOptions.join(', ')}`);
-  console.log(`Downloading CSV     : ${CSV_URL}`);
+  console.log(`POS tags            : ${tags.join(', ')}`);
+
+  /** @type {NodeJS.ReadableStream} */
+  let input;
 
-  const res = await fetch(CSV_URL);
-  if (!res.ok) throw new Error(`Download failed: ${res.status}`);
+  if (args.source) {
+    console.log(`Reading CSV         : ${args.source}`);
+    input = createReadStream(args.source, { encoding: 'utf-8' });
+  } else {
+    console.log(`Downloading CSV     : ${CSV_URL}`);
+
+    const res = await fetch(CSV_URL);
+    if (!res.ok || !res.body) throw new Error(`Download failed: ${res.status}`);
+
+    const totalBytes = Number(res.headers.get('content-length') ?? 0);
+    console.log(`File size           : ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
+    input = Readable.fromWeb(/** @type {import('stream/web').ReadableStream} */ (res.body));
+  }
 
-  const totalBytes = Number(res.headers.get('content-length') ?? 0);
-  console.log(`File size           : ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
   console.log('Parsing...');
 
   /** @type {Record<number, Set<string>>} */
   const byLength = {};
+  /** @type {Record<number, LengthReport>} */
+  const report = Object.fromEntries(wordLengthOptions.map(len => [len, {
+    rows: 0, otherTags: 0, invalid: 0, duplicates: 0, csv: 0, hunspell: 0, hunspellOnly: 0, blocked: 0, allowed: 0, words: 0, answers: 0, defined: 0,
+  }]));
   let lineCount = 0;
   let headerSkipped = false;
 
-  const rl = createInterface({
-    input: Readable.fromWeb(res.body),
-    crlfDelay: Infinity,
-  });
-
-  for await (const line of rl) {
+  for await (const line of readLines(input)) {
     if (!headerSkipped) {
       headerSkipped = true;
       continue; // skip CSV header row
@@ -94,36 +580,168 @@ async function main() {
     const comma = line.indexOf(',');
     if (comma === -1) continue;
 
-    const tag = line.slice(comma + 1).trim();
-    if (!ALLOWED_TAGS.includes(tag)) continue;
-
     const upper = line.slice(0, comma).toUpperCase();
     const len = upper.length;
 
     if (!wordLengthOptions.includes(len)) continue;
-    if (!isValidWord(upper)) continue;
 
-    (byLength[len] ??= new Set()).add(upper);
+    const stats = report[len];
+    stats.rows++;
+
+    const tag = line.slice(comma + 1).trim();
+    if (!tags.includes(tag)) {
+      stats.otherTags++;
+      continue;
+    }
+
+    if (!isValidWord(upper)) {
+      stats.invalid++;
+      continue;
+    }
+
+    const words = (byLength[len] ??= new Set());
+    if (words.has(upper)) stats.duplicates++;
+    else words.add(upper);
   }
 
   console.log(`Processed ${lineCount.toLocaleString()} rows.\n`);
-  mkdirSync(OUT_DIR, { recursive: true });
 
-  console.log('Creating dictionary files:');
+  for (const len of wordLengthOptions) report[len].csv = byLength[len]?.size ?? 0;
+
+  /** @type {Record<number, Set<string>>} */
+  const fromHunspell = {};
+
+  for (const path of args.hunspell) {
+    const { stems, forms } = readHunspell(path);
+    let kept = 0;
+
+    for (const form of forms) {
+      if (!wordLengthOptions.includes(form.length) || !isValidWord(form)) continue;
+
+      (fromHunspell[form.length] ??= new Set()).add(form);
+      kept++;
+    }
+
+    console.log(`Hunspell            : ${path} (${stems.toLocaleString()} stems, ${kept.toLocaleString()} forms of the target lengths)`);
+  }
+
+  for (const [len, forms] of Object.entries(fromHunspell)) {
+    const stats = report[Number(len)];
+    const wordSet = (byLength[Number(len)] ??= new Set());
+
+    stats.hunspell = forms.size;
+    for (const form of forms) {
+      if (wordSet.has(form)) continue;
+
+      wordSet.add(form);
+      stats.hunspellOnly++;
+    }
+  }
+
+  const blocked = new Set();
+  for (const path of args.blocklist) {
+    const words = await readWordFile(path);
+    words.forEach(word => blocked.add(word));
+    console.log(`Blocklist           : ${path} (${words.length.toLocaleString()} words)`);
+  }
+
+  for (const path of args.allowlist) {
+    const words = await readWordFile(path);
+    console.log(`Allowlist           : ${path} (${words.length.toLocaleString()} words)`);
+
+    for (const word of words) {
+      if (!wordLengthOptions.includes(word.length) || !isValidWord(word)) {
+        console.warn(`  skipping ${word}: not a ${wordLengthOptions.join('/')}-letter word of keyboard letters`);
+        continue;
+      }
+
+      const wordSet = (byLength[word.length] ??= new Set());
+      if (blocked.has(word) || wordSet.has(word)) continue;
+
+      wordSet.add(word);
+      report[word.length].allowed++;
+    }
+  }
+
+  for (const word of blocked) {
+    if (byLength[word.length]?.delete(word)) report[word.length].blocked++;
+  }
+
+  let lexicon = null;
+  if (args.lexicon) {
+    console.log(`Reading lexicon     : ${args.lexicon}`);
+    lexicon = await readLexicon(args.lexicon);
+    console.log(`Lexicon entries     : ${lexicon.size.toLocaleString()}`);
+  } else {
+    console.warn('No --lexicon given: every accepted word will also be an answer.');
+  }
+
+  let definitions = null;
+  if (args.definitions) {
+    console.log(`Reading definitions : ${args.definitions}`);
+    definitions = await readDefinitions(args.definitions);
+    console.log(`Definitions         : ${definitions.size.toLocaleString()}`);
+  }
+
+  /** @type {Map<number, { words: Array<string>, answers: Array<string>, defined: Record<string, WordDefinition> | null }>} */
+  const lists = new Map();
+
   for (const len of wordLengthOptions) {
     const wordSet = byLength[len];
-    if (!wordSet?.size) {
-      console.log(`  ${len}-letter words: 0 found - skipping`);
+    if (!wordSet?.size) continue;
+
+    const words = [...wordSet].sort();
+    const answers = selectAnswers(wordSet, lexicon);
+    const defined = definitions && defineWords(words, definitions, lexicon);
+
+    lists.set(len, { words, answers, defined });
+    report[len].words = words.length;
+    report[len].answers = answers.length;
+    report[len].defined = defined ? Object.keys(defined).length : 0;
+  }
+
+  console.log('\nReport:');
+  console.table(Object.fromEntries(wordLengthOptions.map(len => [`${len} letters`, report[len]])));
+
+  if (args['dry-run']) {
+    console.log('\nDry run: no files written.');
+    return;
+  }
+
+  mkdirSync(OUT_DIR, { recursive: true });
+
+  console.log('\nCreating dictionary files:');
+  for (const len of wordLengthOptions) {
+    const list = lists.get(len);
+    if (!list) {
+      // Files left by an earlier run would otherwise still be served and hashed into versions.json.
+      for (const name of [`${len}.txt`, `${len}.answers.txt`, `${len}.definitions.json`]) rmSync(join(OUT_DIR, name), { force: true });
+      console.log(`  ${len}-letter words: 0 found - skipping, old files removed`);
       continue;
     }
 
-    const sorted = [...wordSet].sort();
-    const outPath = join(OUT_DIR, `${len}.json`);
+    writeFileSync(join(OUT_DIR, `${len}.txt`), encodeWordList(list.words));
+    writeFileSync(join(OUT_DIR, `${len}.answers.txt`), encodeWordList(list.answers));
+    console.log(`  ${len}-letter words: ${list.words.length.toLocaleString()} found  ->  public${dictionaryPath}/${len}.txt`);
+    console.log(`  ${len}-letter answers: ${list.answers.length.toLocaleString()} kept  ->  public${dictionaryPath}/${len}.answers.txt`);
 
-    writeFileSync(outPath, JSON.stringify(sorted));
-    console.log(`  ${len}-letter words: ${sorted.length.toLocaleString()} found  ->  public${dictionaryPath}/${len}.json`);
+    if (list.defined) {
+      writeFileSync(join(OUT_DIR, `${len}.definitions.json`), JSON.stringify(list.defined));
+      console.log(`  ${len}-letter definitions: ${report[len].defined.toLocaleString()} words  ->  public${dictionaryPath}/${len}.definitions.json`);
+    } else if (existsSync(join(OUT_DIR, `${len}.definitions.json`))) {
+      // Definitions of an earlier run no longer match the lists just written
+      rmSync(join(OUT_DIR, `${len}.definitions.json`));
+      console.log(`  ${len}-letter definitions: none given - old file removed`);
+    }
   }
 
+  const versions = Object.fromEntries(
+    wordLengthOptions.map(len => [len, getVersion(OUT_DIR, len)]).filter(([, version]) => version !== null)
+  );
+
+  writeFileSync(join(OUT_DIR, 'versions.json'), JSON.stringify(versions));
+  console.log(`\nVersions            : public${dictionaryPath}/versions.json`);
+
   console.log('\nDone.');
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Measures what the compact dictionary format and sorted lookups save, per word length:
+ *   - download size of each list as a JSON array and in the compact form, raw and gzipped
+ *   - time to turn the downloaded text into a word list (`JSON.parse` against `decodeWordList`)
+ *   - time to look a word up with `Array.prototype.includes`, `hasWord` and a `Set`
+ * Lookups are timed over a fixed mix of words in the list and words not in it,
+ * so runs are comparable between machines and dictionary versions.
+ *
+ * Usage: node bin/measure-dictionary.mjs
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { gzipSync } from 'zlib';
+import { join } from 'path';
+import { performance } from 'perf_hooks';
+import Config from '../src/config.js';
+import { decodeWordList, hasWord } from '../src/utilities/wordList.js';
+
+const { wordLengthOptions, dictionaryPath } = Config;
+
+/** Directory the dictionary files are read from, as written by `generate-dictionary.mjs`. */
+const DICTIONARY_DIR = join(process.cwd(), 'public', dictionaryPath.replace(/^\/+/, ''));
+
+/** Number of lookups timed per method and word length. */
+const LOOKUPS = 2000;
+
+/**
+ * Runs `fn` repeatedly for at least 200 ms and reports the mean time of one run.
+ * @param {() => unknown} fn - The work to time.
+ * @returns {number} Milliseconds per run.
+ */
+function time(fn) {
+  let runs = 0;
+  const start = performance.now();
+
+  do {
+    fn();
+    runs++;
+  } while (performance.now() - start < 200);
+
+  return (performance.now() - start) / runs;
+}
+
+/**
+ * Formats a byte count in kilobytes.
+ * @param {number} bytes - The size.
+ * @returns {string}
+ */
+function kb(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Formats a duration with a unit that keeps it readable.
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string}
+ */
+function duration(ms) {
+  if (ms >= 1) return `${ms.toFixed(2)} ms`;
+  return ms >= 0.001 ? `${(ms * 1000).toFixed(2)} µs` : `${(ms * 1e6).toFixed(0)} ns`;
+}
+
+function main() {
+  for (const len of wordLengthOptions) {
+    const file = join(DICTIONARY_DIR, `${len}.txt`);
+    if (!existsSync(file)) {
+      console.log(`${len}-letter words: no dictionary file - skipping\n`);
+      continue;
+    }
+
+    const compact = readFileSync(file, 'utf-8');
+    const words = decodeWordList(compact, len);
+    const json = JSON.stringify(words);
+
+    // Every other probe is a real word; the rest are the same words with the last letter changed
+    const probes = Array.from({ length: LOOKUPS }, (_, index) => {
+      const word = words[Math.floor((index * words.length) / LOOKUPS)];
+      return index % 2 === 0 ? word : `${word.slice(0, -1)}Ї`;
+    });
+
+    const set = new Set(words);
+
+    const sizes = {
+      json: Buffer.byteLength(json),
+      jsonGzip: gzipSync(json).length,
+      compact: Buffer.byteLength(compact),
+      compactGzip: gzipSync(compact).length,
+    };
+
+    const parse = {
+      json: time(() => JSON.parse(json)),
+      compact: time(() => decodeWordList(compact, len)),
+      set: time(() => new Set(words)),
+    };
+
+    const lookup = {
+      includes: time(() => probes.filter(word => words.includes(word)).length) / LOOKUPS,
+      hasWord: time(() => probes.filter(word => hasWord(words, word)).length) / LOOKUPS,
+      set: time(() => probes.filter(word => set.has(word)).length) / LOOKUPS,
+    };
+
+    console.log(`${len}-letter words (${words.length.toLocaleString()}):`);
+    console.log(`  size     JSON ${kb(sizes.json)} (gzip ${kb(sizes.jsonGzip)})  ->  compact ${kb(sizes.compact)} (gzip ${kb(sizes.compactGzip)})`);
+    console.log(`  decode   JSON.parse ${duration(parse.json)}  ->  decodeWordList ${duration(parse.compact)}  (building a Set: ${duration(parse.set)})`);
+    console.log(`  lookup   includes ${duration(lookup.includes)}  ->  hasWord ${duration(lookup.hasWord)}  (Set.has: ${duration(lookup.set)})\n`);
+  }
+}
+
+main();
@@ -0,0 +1,497 @@
+import { hasWord } from './utilities/wordList.js';
+
+/**
+ * @typedef {'correct-spot' | 'wrong-spot' | 'missing-spot'} LettersState
+ * Tile evaluation result: exact-position match, present but misplaced, or absent from the word.
+ */
+/**
+ * @typedef {'notEnoughLetters' | 'noSuchWord' | 'hardModeCorrectSpot' | 'hardModeWrongSpot'} GuessErrorType
+ * Why a guess was rejected. Each value is also the `Config.translations` key that describes it.
+ */
+/**
+ * @typedef {object} GuessError
+ * @property {GuessErrorType} type - Why the guess was rejected.
+ * @property {number} [position] - 1-based tile position the letter is required at (`'hardModeCorrectSpot'` only).
+ * @property {string} [letter] - The letter a hard-mode constraint is about.
+ */
+/**
+ * @typedef {{ states: Array<LettersState>, error: null } | { states: null, error: GuessError }} GuessResult
+ * Outcome of `guess`: the evaluated states for an accepted word, or the reason it was rejected.
+ */
+/**
+ * @typedef {object} KnownHints
+ * Hints accumulated from previously evaluated rows in the current round.
+ * @property {Map<number, string>} correctPositions - Tile index -> required letter (green hints).
+ * @property {Set<string>} mustContain - Letters that must appear anywhere (yellow + green hints).
+ */
+/**
+ * @typedef {'letter' | 'absent'} HintType
+ * Which help a hint gives: a correct letter shown in its position, or a letter ruled out of the word.
+ */
+/**
+ * @typedef {{ type: 'letter', position: number, letter: string } | { type: 'absent', letter: string }} HintReveal
+ * What a hint revealed. `position` is the 0-based tile index of a revealed letter.
+ */
+/**
+ * @typedef {object} EngineOptions
+ * @property {Array<string>} allowed - Sorted uppercase list of every word accepted as a guess.
+ * @property {string} [target] - The secret word, uppercase. Left out in adversarial rounds.
+ * @property {Array<string>} [pool] - Makes the round adversarial: instead of a fixed target, every
+ * guess gets the feedback that keeps the most of these words possible, and the target is pinned down
+ * only once a single word is left. All words must have the same length.
+ * @property {boolean} [hardMode] - Whether revealed hints must be reused in later guesses (default: `false`).
+ * @property {number} [maxGuesses] - Guesses allowed before the round is lost (default: `6`).
+ * @property {number} [maxHints] - Hints allowed per round, of either type (default: `2`).
+ */
+
+/**
+ * The rules of a single round, free of any DOM, storage or timing concerns, so they can be
+ * unit-tested in Node and reused by any renderer.
+ */
+export default class WordleEngine {
+  /**
+   * Every word accepted as a guess.
+   * @type {Array<string>}
+   */
+  #allowed;
+  /**
+   * The secret word, always uppercase. Empty in an adversarial round until it is pinned down.
+   * @type {string}
+   */
+  #target;
+  /**
+   * Letters per word in this round.
+   * @type {number}
+   */
+  #wordLength;
+  /**
+   * Words an adversarial round can still settle on; `null` when the target is fixed.
+   * @type {Array<string> | null}
+   */
+  #pool;
+  /**
+   * Guesses allowed before the round is lost.
+   * @type {number}
+   */
+  #maxGuesses;
+  /**
+   * Hints allowed per round, of either type.
+   * @type {number}
+   */
+  #maxHints;
+  /**
+   * Whether revealed hints must be reused in later guesses.
+   * @type {boolean}
+   */
+  #hardMode;
+  /**
+   * Accepted guesses, in order.
+   * @type {Array<string>}
+   */
+  #guesses = [];
+  /**
+   * Evaluated states for each accepted guess, in the same order as `#guesses`.
+   * @type {Array<Array<LettersState>>}
+   */
+  #rowStates = [];
+  /**
+   * Hints revealed so far; checked against new guesses in hard mode.
+   * @type {KnownHints}
+   */
+  #hints = {
+    correctPositions: new Map(),
+    mustContain: new Set(),
+  };
+
+  /**
+   * Hints given so far, in order.
+   * @type {Array<HintReveal>}
+   */
+  #hintLog = [];
+
+  /**
+   * @param {EngineOptions} options - Dictionary, target and rule options for the round.
+   */
+  constructor({ allowed, target = '', pool, hardMode = false, maxGuesses = 6, maxHints = 2 }) {
+    this.#allowed = allowed;
+    this.#target = pool?.length === 1 ? pool[0] : target;
+    this.#wordLength = target.length || (pool?.[0]?.length ?? 0);
+    this.#pool = pool ?? null;
+    this.#hardMode = hardMode;
+    this.#maxGuesses = maxGuesses;
+    this.#maxHints = maxHints;
+  }
+
+  /**
+   * @description Runs the standard two-pass Wordle evaluation algorithm. Pass 1 - marks exact-position
+   * matches as `'correct-spot'` and removes those letters from the pool. Pass 2 - for each remaining
+   * letter, checks the reduced pool and marks as `'wrong-spot'` if found (consuming that slot), or
+   * `'missing-spot'` otherwise. This ensures a single occurrence in the target never produces more
+   * than one colored result.
+   * @param {string} guess - The guessed word.
+   * @param {string} target - The word to compare against; same length as `guess`.
+   * @returns {Array<LettersState>} One state per letter of `guess`, in the same order.
+   * @example
+   * WordleEngine.evaluate('БАНАН', 'КОТКА'); // Output: ['missing-spot', 'wrong-spot', 'missing-spot', 'missing-spot', 'missing-spot']
+   */
+  static evaluate(guess, target) {
+    const guessLetters = [...guess];
+    const targetLetters = [...target];
+
+    /** @type {Array<LettersState>} */
+    const states = new Array(guessLetters.length).fill('missing-spot');
+
+    for (let i = 0; i < guessLetters.length; i++) {
+      if (guessLetters[i] === targetLetters[i]) {
+        states[i] = 'correct-spot';
+        targetLetters[i] = '';
+      }
+    }
+
+    for (let i = 0; i < guessLetters.length; i++) {
+      if (states[i] === 'correct-spot') continue;
+
+      const targetIndex = targetLetters.indexOf(guessLetters[i]);
+
+      if (targetIndex !== -1) {
+        states[i] = 'wrong-spot';
+        targetLetters[targetIndex] = '';
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * @description The secret word. Empty in an adversarial round until a single candidate is left.
+   * @returns {string}
+   */
+  get target() {
+    return this.#target;
+  }
+
+  /**
+   * @description Letters per word in this round.
+   * @returns {number}
+   */
+  get wordLength() {
+    return this.#wordLength;
+  }
+
+  /**
+   * @description Whether the target dodges the guesses instead of being fixed up front.
+   * @returns {boolean}
+   */
+  get isAdversarial() {
+    return this.#pool !== null;
+  }
+
+  /**
+   * @description Guesses allowed before the round is lost.
+   * @returns {number}
+   */
+  get maxGuesses() {
+    return this.#maxGuesses;
+  }
+
+  /**
+   * @description Whether revealed hints must be reused in later guesses.
+   * @returns {boolean}
+   */
+  get hardMode() {
+    return this.#hardMode;
+  }
+
+  /**
+   * @description Enables or disables hard mode for the remaining guesses. Hints revealed before
+   * the switch still count, since they are tracked in either mode.
+   * @param {boolean} enabled - `true` to enable, `false` to disable.
+   */
+  setHardMode(enabled) {
+    this.#hardMode = enabled;
+  }
+
+  /**
+   * @description Replaces the words accepted as guesses for the rest of the round, such as when
+   * the player adds a word the dictionary lacks. Guesses already played stay.
+   * @param {Array<string>} allowed - Every word accepted as a guess, sorted.
+   */
+  setAllowed(allowed) {
+    this.#allowed = allowed;
+  }
+
+  /**
+   * @description Accepted guesses so far, in order.
+   * @returns {Array<string>} A copy; changing it does not affect the round.
+   */
+  get guesses() {
+    return [...this.#guesses];
+  }
+
+  /**
+   * @description Evaluated states for each accepted guess, in order.
+   * @returns {Array<Array<LettersState>>} A copy; changing it does not affect the round.
+   */
+  get rowStates() {
+    return this.#rowStates.map(row => [...row]);
+  }
+
+  /**
+   * @description Hints revealed so far.
+   * @returns {KnownHints} A copy; changing it does not affect the round.
+   */
+  get hints() {
+    return {
+      correctPositions: new Map(this.#hints.correctPositions),
+      mustContain: new Set(this.#hints.mustContain),
+    };
+  }
+
+  /**
+   * @description Hints given so far, in order.
+   * @returns {Array<HintReveal>} A copy; changing it does not affect the round.
+   */
+  get hintLog() {
+    return this.#hintLog.map(reveal => ({ ...reveal }));
+  }
+
+  /**
+   * @description Hints left in this round. Adversarial rounds have none: there is no target to give away.
+   * @returns {number}
+   */
+  get remainingHints() {
+    return this.isAdversarial ? 0 : Math.max(0, this.#maxHints - this.#hintLog.length);
+  }
+
+  /**
+   * @description Whether the target has been guessed.
+   * @returns {boolean}
+   */
+  get isWon() {
+    return this.#guesses.includes(this.#target);
+  }
+
+  /**
+   * @description Whether the round is finished, either won or out of guesses.
+   * @returns {boolean}
+   */
+  get isOver() {
+    return this.isWon || this.#guesses.length >= this.#maxGuesses;
+  }
+
+  /**
+   * @description Guesses left before the round is lost.
+   * @returns {number}
+   */
+  get remainingAttempts() {
+    return Math.max(0, this.#maxGuesses - this.#guesses.length);
+  }
+
+  /**
+   * @description Points a won round is worth: a correct guess on attempt N earns `maxGuesses − N + 1`.
+   * @returns {number} The reward, or `0` while the round is not won.
+   */
+  get reward() {
+    return this.isWon ? this.#maxGuesses - this.#guesses.length + 1 : 0;
+  }
+
+  /**
+   * @description Checks a word against the round's rules without playing it: length first, then
+   * dictionary lookup, then - in hard mode - exact-position requirements (green hints) followed by
+   * must-contain letters (yellow and green hints).
+   * @param {string} word - Uppercase word to check.
+   * @returns {GuessError | null} The first rule the word breaks, or `null` if it may be played.
+   */
+  validate(word) {
+    if (word.length < this.wordLength) return { type: 'notEnoughLetters' };
+    if (!hasWord(this.#allowed, word)) return { type: 'noSuchWord' };
+
+    if (!this.#hardMode) return null;
+
+    for (const [position, letter] of this.#hints.correctPositions) {
+      if (word[position] !== letter) return { type: 'hardModeCorrectSpot', position: position + 1, letter };
+    }
+
+    for (const letter of this.#hints.mustContain) {
+      if (!word.includes(letter)) return { type: 'hardModeWrongSpot', letter };
+    }
+
+    return null;
+  }
+
+  /**
+   * @description Plays a word: validates it, evaluates it against the target, and records the
+   * revealed hints. Rejected words do not use up an attempt.
+   * @param {string} word - Uppercase word to play.
+   * @returns {GuessResult} The evaluated states, or the reason the word was rejected.
+   * @throws {Error} When the round is already over.
+   */
+  guess(word) {
+    if (this.isOver) throw new Error('The round is already over');
+
+    const error = this.validate(word);
+    if (error) return { states: null, error };
+
+    return { states: this.#record(word), error: null };
+  }
+
+  /**
+   * @description Narrows a word list down to the words that could still be the target, given every
+   * row and hint so far. A word qualifies when evaluating each past guess against it reproduces the
+   * exact states that were shown, which handles repeated letters - a grey duplicate next to a green
+   * or yellow one caps the letter count - without any separate letter counting.
+   * @param {Array<string>} words - Uppercase words to filter.
+   * @returns {Array<string>} The words still consistent with the feedback, in their original order.
+   */
+  filterCandidates(words) {
+    const matchesRows = (/** @type {string} */ word) => this.#guesses.every((guess, row) => (
+      WordleEngine.evaluate(guess, word).every((state, index) => state === this.#rowStates[row][index])
+    ));
+
+    const matchesHints = (/** @type {string} */ word) => this.#hintLog.every(reveal => (
+      reveal.type === 'letter' ? word[reveal.position] === reveal.letter : !word.includes(reveal.letter)
+    ));
+
+    return words.filter(word => word.length === this.wordLength && matchesRows(word) && matchesHints(word));
+  }
+
+  /**
+   * @description Gives a hint of the requested type, if one is left. A `'letter'` hint picks a
+   * position not yet known to be correct and reveals its letter, which then counts as a green hint
+   * for hard mode. An `'absent'` hint picks a dictionary letter that is neither in the target nor
+   * in any guess so far, so it is news to the player.
+   * @param {HintType} type - Which help to give.
+   * @param {() => number} [random] - Source of randomness in `[0, 1)` (default: `Math.random`).
+   * @returns {HintReveal | null} What was revealed, or `null` when the round is over, no hints are
+   * left, or there is nothing of that type left to reveal.
+   */
+  hint(type, random = Math.random) {
+    if (this.isOver || this.remainingHints === 0) return null;
+
+    /** @type {Array<HintReveal>} */
+    const options = type === 'letter'
+      ? [...this.#target]
+          .map((letter, position) => ({ type: /** @type {const} */ ('letter'), position, letter }))
+          .filter(({ position }) => !this.#hints.correctPositions.has(position))
+      : this.#unseenAbsentLetters().map(letter => ({ type: /** @type {const} */ ('absent'), letter }));
+
+    if (options.length === 0) return null;
+
+    const reveal = options[Math.floor(random() * options.length)];
+    this.applyHint(reveal);
+
+    return reveal;
+  }
+
+  /**
+   * @description Records a hint without choosing it, such as one from a saved round being resumed.
+   * A revealed letter is added to the known hints exactly like a green tile.
+   * @param {HintReveal} reveal - The hint to record.
+   */
+  applyHint(reveal) {
+    if (reveal.type === 'letter') {
+      this.#hints.correctPositions.set(reveal.position, reveal.letter);
+      this.#hints.mustContain.add(reveal.letter);
+    }
+
+    this.#hintLog.push(reveal);
+  }
+
+  /**
+   * @description Re-applies guesses that were already validated when first played, such as a saved
+   * round being resumed. Skips validation so a later hard-mode or dictionary change cannot reject them.
+   * @param {Array<string>} guesses - Previously accepted words, in order.
+   */
+  replay(guesses) {
+    for (const word of guesses) {
+      if (this.isOver) break;
+      this.#record(word);
+    }
+  }
+
+  /**
+   * @description Letters that occur somewhere in the dictionary but not in the target, minus the
+   * ones the player has already seen turn grey or been told about.
+   * @returns {Array<string>} Candidate letters for an `'absent'` hint, in alphabetical order.
+   */
+  #unseenAbsentLetters() {
+    const seen = new Set([...this.#target, ...this.#guesses.join('')]);
+
+    for (const reveal of this.#hintLog) {
+      if (reveal.type === 'absent') seen.add(reveal.letter);
+    }
+
+    const letters = new Set(this.#allowed.join(''));
+    return [...letters].filter(letter => !seen.has(letter)).sort();
+  }
+
+  /**
+   * @description Picks the feedback for a guess in an adversarial round: the words left in the pool
+   * are grouped by the states the guess would get against each of them, and the largest group
+   * survives. Among equally large groups the one revealing the fewest letters wins, so an exact hit
+   * is only conceded when no other word is left; remaining ties go to the earliest word in the pool,
+   * which keeps a replayed round identical. Pins the target once a single word is left.
+   * @param {string} word - The accepted word.
+   * @returns {Array<LettersState>} The states of the surviving group.
+   */
+  #dodge(word) {
+    const pool = this.#pool ?? [];
+
+    /** @type {Map<string, { states: Array<LettersState>, words: Array<string> }>} */
+    const groups = new Map();
+
+    for (const candidate of pool) {
+      const states = WordleEngine.evaluate(word, candidate);
+      const key = states.join();
+      const group = groups.get(key);
+
+      if (group) group.words.push(candidate);
+      else groups.set(key, { states, words: [candidate] });
+    }
+
+    const revealed = (/** @type {Array<LettersState>} */ states) => states.reduce((sum, state) => (
+      sum + (state === 'correct-spot' ? 2 : state === 'wrong-spot' ? 1 : 0)
+    ), 0);
+
+    /** @type {{ states: Array<LettersState>, words: Array<string> } | null} */
+    let best = null;
+
+    for (const group of groups.values()) {
+      if (best === null
+        || group.words.length > best.words.length
+        || (group.words.length === best.words.length && revealed(group.states) < revealed(best.states))) {
+        best = group;
+      }
+    }
+
+    if (best === null) return WordleEngine.evaluate(word, this.#target);
+
+    this.#pool = best.words;
+    if (this.#pool.length === 1) this.#target = this.#pool[0];
+
+    return best.states;
+  }
+
+  /**
+   * @description Evaluates an accepted word and records it with its states and hints.
+   * @param {string} word - The accepted word.
+   * @returns {Array<LettersState>} The evaluated states.
+   */
+  #record(word) {
+    const states = this.isAdversarial ? this.#dodge(word) : WordleEngine.evaluate(word, this.#target);
+
+    for (let i = 0; i < states.length; i++) {
+      if (states[i] === 'correct-spot') {
+        this.#hints.correctPositions.set(i, word[i]);
+        this.#hints.mustContain.add(word[i]);
+      } else if (states[i] === 'wrong-spot') {
+        this.#hints.mustContain.add(word[i]);
+      }
+    }
+
+    this.#guesses.push(word);
+    this.#rowStates.push(states);
+
+    return states;
+  }
+}
@@ -1,14 +1,40 @@
-import { createElement, sampleFromArray, isArray, isNil, isString, Storage } from './utilities';
+import { createArray, createElement, sampleFromArray, isArray, isNil, isString, Storage, addWords, hasWord, getDayKey, getMsUntilNextDay, formatCountdown, pickDailyWord, getBoardLayout, Stopwatch, formatDuration } from './utilities';
+import WordleEngine from './WordleEngine';
 import Config from './config';
 
 /**
- * @typedef {'correct-spot' | 'wrong-spot' | 'missing-spot'} LettersState
- * Tile evaluation result: exact-position match, present but misplaced, or absent from the word.
+ * @typedef {import('./WordleEngine').LettersState} LettersState
  */
 /**
  * @typedef {'active-spot' | LettersState} TileState
  * Full set of visual states a tile can hold during gameplay.
  */
+/**
+ * @typedef {'unlimited' | 'daily' | 'challenge' | 'dordle' | 'quordle' | 'absurdle' | 'timeattack' | 'speedrun'} GameMode
+ * How target words are chosen: a random word every round, one shared word per calendar day,
+ * a word picked by a friend and passed in through a challenge link, two or four random words
+ * solved at once on separate boards, or no fixed word at all - one that dodges every guess.
+ * The two timed modes draw random words too: as many as can be solved before the clock runs out,
+ * or a single one against a stopwatch.
+ */
+/**
+ * @typedef {object} RoundState
+ * Plain-JSON snapshot of an unfinished round, enough to rebuild the board after a reload.
+ * @property {GameMode} mode - Mode the round was started in.
+ * @property {number} wordLength - Letters per word; must match the loaded dictionary.
+ * @property {string} targetWord - The secret word of the first board.
+ * @property {Array<string>} [targetWords] - The secret word of every board, in order; only saved in the multi-board modes.
+ * @property {number} [maxGuesses] - Guesses the round allowed. Left out when there is no limit, and in
+ * saves from before the limit became configurable, which always allowed `Config.maxGuesses`.
+ * @property {Array<string>} guesses - Submitted words, in order.
+ * @property {Array<[number, string]>} correctPositions - Entries of the engine's `hints.correctPositions`.
+ * @property {Array<string>} mustContain - Values of the engine's `hints.mustContain`.
+ * @property {boolean} hardMode - Whether the round is played in hard mode.
+ * @property {number} score - Session score when the snapshot was taken.
+ * @property {string} dayKey - Day of a daily round; empty in other modes.
+ * @property {Array<import('./WordleEngine').HintReveal>} [hints] - Hints given, in order; missing in saves made before hints existed.
+ * @property {boolean} [assisted] - Whether the remaining-candidates counter was shown during the round; missing in older saves.
+ */
 /**
  * @typedef {HTMLElement & { dataset: { state: TileState, letter: string } }} Tile
  * A single cell in the guess grid, which holds a letter and a state that determines its color.
@@ -17,10 +43,51 @@ import Config from './config';
  * @typedef {object} GameOptions
  * @property {HTMLElement} notification - Container where temporary alert messages are injected.
  * @property {HTMLElement} scoreboard - Container that displays the current and high score.
- * @property {HTMLElement} grid - The game grid whose `.tile` children are the letter cells.
+ * @property {HTMLElement} grid - The game grid whose `.board` children each hold one board's `.tile` cells.
  * @property {HTMLElement} keyboard - The on-screen keyboard whose `.key` children are the letter buttons.
- * @property {Array<string>} dictionary - Sorted uppercase word list used for validation and target selection.
+ * @property {HTMLElement} candidates - Expandable remaining-candidates panel with a `summary` and a `.candidates-list`; hidden while the counter is off.
+ * @property {import('./utilities').Dictionary} dictionary - Answer pool for target selection and accepted-guess list for validation.
  * @property {number} wordLength - Number of letters per word for this session.
+ * @property {GameMode} mode - How target words are chosen for this session.
+ * @property {string} [targetWord] - Fixed target for challenge mode; ignored in other modes.
+ * @property {RoundEndCallback} onRoundEnd - Invoked once a round is won or lost; the board stays locked until `nextRound` is called.
+ */
+/**
+ * @typedef {object} BoardResult
+ * Outcome of one board in a finished round.
+ * @property {string} targetWord - The board's secret word.
+ * @property {boolean} won - Whether the board was solved.
+ * @property {Array<Array<LettersState>>} rows - Evaluated tile states per row played on this board, in order.
+ */
+/**
+ * @typedef {object} RoundResult
+ * Summary of a finished round, handed to the end-of-round panel.
+ * @property {boolean} won - Whether every board was solved.
+ * @property {string} summary - How the round went, in a sentence: the points won or lost, the guesses or
+ * time taken, or the word that was missed.
+ * @property {Array<BoardResult>} boards - One entry per board; a single one outside the multi-board modes.
+ * @property {number} guessCount - Rows used, including the winning one.
+ * @property {Array<string>} guesses - Submitted words, in order; used by the post-game analysis.
+ * @property {GameMode} mode - Mode the round was played in.
+ * @property {number} wordLength - Letters per word.
+ * @property {number} maxGuesses - Guesses the round allowed.
+ * @property {boolean} hardMode - Whether the round was played in hard mode.
+ * @property {string} dayKey - Day of a daily round; empty in other modes.
+ * @property {number} hintsUsed - How many hints the player took.
+ * @property {boolean} assisted - Whether the remaining-candidates counter was shown during the round.
+ * @property {number} [elapsedMs] - Play time of the round, or of the whole run in time attack; timed modes only.
+ * @property {number} [solved] - Words solved before the clock ran out; time attack only.
+ */
+/**
+ * @typedef {object} HintStatus
+ * What the hint modal can offer for the running round.
+ * @property {number} remaining - Hints left; `0` when no round is in progress.
+ * @property {Record<import('./WordleEngine').HintType, number>} costs - Points each hint type costs; `0` in unscored modes.
+ * @property {Record<import('./WordleEngine').HintType, boolean>} affordable - Whether the current score covers each cost.
+ */
+/**
+ * @callback RoundEndCallback
+ * @param {RoundResult} result - The round that just finished.
  */
 /**
  * @callback AnimationCompleteCallback
@@ -29,6 +96,12 @@ import Config from './config';
  * @param {Array<HTMLElement>} array - The full array of animated items.
  */
 
+/**
+ * Ranks tile states so a key only ever moves up: green > yellow > gray.
+ * @type {Record<LettersState, number>}
+ */
+const STATE_RANK = Object.freeze({ 'missing-spot': 0, 'wrong-spot': 1, 'correct-spot': 2 });
+
 export default class WordleGame {
   /**
    * Container element where temporary alert messages are displayed.
@@ -41,20 +114,31 @@ export default class WordleGame {
    */
   #scoreboard;
   /**
-   * All tile elements in the game grid, ordered left-to-right, top-to-bottom.
-   * @type {Array<Tile>}
+   * Tile elements of each board, in board order; each list ordered left-to-right, top-to-bottom.
+   * @type {Array<Array<Tile>>}
    */
-  #tiles;
+  #boards;
   /**
    * All key elements on the on-screen keyboard.
    * @type {Array<HTMLElement>}
    */
   #keys;
   /**
-   * The secret word the player must guess, always uppercase.
-   * @type {string}
+   * Rules and progress of the current round, one engine per board. Empty while no round is being
+   * played, i.e. when today's daily word has already been played.
+   * @type {Array<WordleEngine>}
    */
-  #targetWord;
+  #engines;
+  /**
+   * Guesses allowed per round for this mode; `Infinity` in absurdle.
+   * @type {number}
+   */
+  #maxGuesses;
+  /**
+   * Tile rows every board starts a round with.
+   * @type {number}
+   */
+  #gridRows;
   /**
    * Points accumulated in the current session.
    * @type {number}
@@ -66,10 +150,16 @@ export default class WordleGame {
    */
   #highscore;
   /**
-   * Sorted uppercase word list used for validation and target selection.
-   * @type {Array<string>}
+   * Targets are drawn from `answers` only; any word in `allowed` is accepted as a guess.
+   * @type {import('./utilities').Dictionary}
    */
   #dictionary;
+  /**
+   * Every word accepted as a guess: the dictionary's `allowed` plus the player's own words of this
+   * length. Never a source of targets.
+   * @type {Array<string>}
+   */
+  #allowed;
   /**
    * Number of letters per word for the current session.
    * @type {number}
@@ -77,49 +167,153 @@ export default class WordleGame {
   #wordLength;
   /**
    * Whether hard mode is active: any revealed hint must be reused in subsequent guesses.
+   * Applied to every new round; the running round follows it through `setHardMode`.
    * @type {boolean}
    */
   #hardMode;
   /**
-   * Hints accumulated from previously evaluated rows in the current round.
-   * `correctPositions` maps tile index -> required letter (green hints).
-   * `mustContain` is the set of letters that must appear anywhere (yellow + green hints).
-   * @type {{ correctPositions: Map<number, string>, mustContain: Set<string> }}
+   * Panel that shows how many words still match the feedback.
+   * @type {HTMLElement}
+   */
+  #candidates;
+  /**
+   * Whether the remaining-candidates counter is turned on.
+   * @type {boolean}
+   */
+  #showCandidates;
+  /**
+   * Set once the remaining-candidates counter has been shown during the current round, so the round
+   * is recorded as assisted even if the counter is turned off again before it ends.
+   * @type {boolean}
+   */
+  #assisted;
+  /**
+   * Notifies the owner that a round has finished.
+   * @type {RoundEndCallback}
+   */
+  #onRoundEnd;
+  /**
+   * How target words are chosen for this session.
+   * @type {GameMode}
+   */
+  #mode;
+  /**
+   * Target chosen by a friend in challenge mode. Empty in other modes.
+   * @type {string}
+   */
+  #fixedTarget;
+  /**
+   * Day the current daily round belongs to, so a round started before midnight is recorded against its own day.
+   * Empty outside daily mode.
+   * @type {string}
+   */
+  #dayKey;
+  /**
+   * Set once a round is finished, and for the whole day once today's daily word has been played.
+   * Blocks all input until the next round starts.
+   * @type {boolean}
+   */
+  #locked;
+  /**
+   * Interval that refreshes the next-word countdown in daily mode.
+   * @type {ReturnType<typeof setInterval> | undefined}
+   */
+  #countdownTimer;
+  /**
+   * Play time of the current round in speed run, or of the current run in time attack.
+   * Starts with the first letter typed.
+   * @type {Stopwatch}
+   */
+  #clock;
+  /**
+   * Interval that refreshes the timer and ends time-attack runs in the timed modes.
+   * @type {ReturnType<typeof setInterval> | undefined}
    */
-  #revealedHints;
+  #clockTimer;
+  /**
+   * Words solved so far in the current time-attack run.
+   * @type {number}
+   */
+  #solved;
 
   /**
    * @description Wires up DOM references, builds the key lookup map, restores the high score
-   * from localStorage, and starts the first round.
+   * from localStorage, and resumes the saved round or starts a new one.
    * @param {GameOptions} options - DOM containers the game needs to read and write.
    */
-  constructor({ notification, scoreboard, grid, keyboard, dictionary, wordLength }) {
+  constructor({ notification, scoreboard, grid, keyboard, candidates, dictionary, wordLength, mode, targetWord = '', onRoundEnd }) {
     this.#notification = notification;
     this.#scoreboard = scoreboard;
-    this.#tiles = Array.from(grid.querySelectorAll('.tile'));
+    this.#boards = Array.from(grid.querySelectorAll('.board'), board => Array.from(board.querySelectorAll('.tile')));
     this.#keys = Array.from(keyboard.querySelectorAll('.key'));
+    this.#candidates = candidates;
     this.#dictionary = dictionary;
     this.#wordLength = wordLength;
+    this.#mode = mode;
+    this.#onRoundEnd = onRoundEnd;
+    this.#fixedTarget = mode === 'challenge' ? targetWord : '';
 
-    this.#targetWord = '';
-    this.#score = Storage.getScore(wordLength);
-    this.#highscore = Storage.getHighscore(wordLength);
+    this.#engines = [];
+    this.#allowed = addWords(dictionary.allowed, Storage.getPersonalWords(wordLength));
+    ({ maxGuesses: this.#maxGuesses, gridRows: this.#gridRows } = getBoardLayout(mode));
+    this.#score = Storage.getScore(wordLength, this.#maxGuesses);
+    this.#highscore = Storage.getHighscore(wordLength, this.#maxGuesses);
+    this.#dayKey = '';
+    this.#locked = false;
+    this.#assisted = false;
+    this.#showCandidates = Storage.getShowCandidates();
     this.#hardMode = Storage.getHardMode();
+    this.#clock = new Stopwatch();
+    this.#solved = 0;
 
-    this.#revealedHints = {
-      correctPositions: new Map(),
-      mustContain: new Set(),
-    };
+    if (!this.#restore()) this.#initialize();
+
+    if (this.#mode === 'daily') {
+      this.#updateCountdown();
+      this.#countdownTimer = setInterval(() => this.#updateCountdown(), Config.daily.countdownInterval);
+    }
+
+    if (this.#isTimed) this.#clockTimer = setInterval(() => this.#tick(), Config.timed.tickInterval);
+  }
 
-    this.#initialize();
+  /**
+   * @description Stops background timers. Must be called before the instance is replaced,
+   * otherwise its countdown keeps writing into the shared scoreboard.
+   */
+  dispose() {
+    clearInterval(this.#countdownTimer);
+    clearInterval(this.#clockTimer);
   }
 
   /**
-   * @description Whether hard mode is currently active.
+   * @description Starts the next round after a finished one. Does nothing while a round is in progress.
+   */
+  nextRound() {
+    if (this.#locked) this.#initialize();
+  }
+
+  /**
+   * @description Holds the timer of a timed mode, e.g. while a modal covers the board.
+   */
+  pauseClock() {
+    this.#clock.pause();
+  }
+
+  /**
+   * @description Continues a timer held by `pauseClock`. A timer that has not started yet or has
+   * already finished is left alone.
+   */
+  resumeClock() {
+    this.#clock.resume();
+  }
+
+  /**
+   * @description Whether hard mode is currently active. A resumed round keeps the setting it was
+   * saved with, which may differ from the player's preference until the next round starts.
    * @returns {boolean} `true` if hard mode is on, `false` otherwise.
    */
   get hardMode() {
-    return this.#hardMode;
+    return isNil(this.#engine) || this.#isMultiBoard ? this.#hardMode : this.#engine.hardMode;
   }
 
   /**
@@ -129,112 +323,397 @@ export default class WordleGame {
   setHardMode(enabled) {
     this.#hardMode = enabled;
     Storage.setHardMode(enabled);
+
+    if (isNil(this.#engine) || this.#isMultiBoard) return;
+
+    this.#engine.setHardMode(enabled);
+    this.#saveRound();
   }
 
   /**
-   * @description Reads the active tiles as a word, validates it (length check, then dictionary
-   * lookup), and reveals each tile's result color through a staggered flip animation.
+   * @description Re-reads the player's own words of this length, e.g. after some were removed in the
+   * settings. The running round accepts exactly those from its next guess on; guesses already played stay.
    */
-  async submitGuess() {
-    const {
-      translations: { notEnoughLetters, noSuchWord },
-      delays: { betweenFlips },
-    } = Config;
+  updatePersonalWords() {
+    this.#allowed = addWords(this.#dictionary.allowed, Storage.getPersonalWords(this.#wordLength));
+    for (const engine of this.#engines) engine.setAllowed(this.#allowed);
+  }
 
-    const activeTiles = this.#tiles.filter(tile => tile.dataset.state === 'active-spot');
-    const guessedWord = activeTiles.reduce((word, tile) => word + tile.dataset.letter, '');
+  /**
+   * @description Shows or hides the remaining-candidates counter and persists the preference.
+   * Showing it during a round marks that round as assisted.
+   * @param {boolean} enabled - `true` to show, `false` to hide.
+   */
+  setShowCandidates(enabled) {
+    this.#showCandidates = enabled;
+    Storage.setShowCandidates(enabled);
 
-    if (activeTiles.length !== this.#wordLength) {
-      this.#showAlert(notEnoughLetters);
-      await this.#playAnimation(activeTiles, 'shake');
+    this.#updateCandidates();
+    this.#saveRound();
+  }
+
+  /**
+   * @description Reports how many hints are left and what they cost, for the hint modal. The timed
+   * modes offer none, so their records are never set with help.
+   * @returns {HintStatus} The hint offer for the running round.
+   */
+  getHintStatus() {
+    const remaining = this.#locked || isNil(this.#engine) || this.#isMultiBoard || this.#isTimed ? 0 : this.#engine.remainingHints;
+    const costs = { letter: this.#getHintCost('letter'), absent: this.#getHintCost('absent') };
+
+    return {
+      remaining,
+      costs,
+      affordable: { letter: this.#score >= costs.letter, absent: this.#score >= costs.absent },
+    };
+  }
+
+  /**
+   * @description Spends points on a hint and shows what it revealed: the letter's key turns green
+   * or grey and an alert names the letter. Refused with an alert when the score cannot cover the
+   * cost or there is nothing left to reveal; either way, no points are spent.
+   * @param {import('./WordleEngine').HintType} type - Which help to give.
+   */
+  useHint(type) {
+    const { translations: t } = Config;
+
+    if (this.#locked || isNil(this.#engine) || this.#isMultiBoard || this.#isTimed) return;
+
+    const cost = this.#getHintCost(type);
+    if (this.#score < cost) {
+      this.#showAlert(t.hintNoPoints);
       return;
     }
 
-    if (!this.#dictionary.includes(guessedWord)) {
-      this.#showAlert(noSuchWord);
-      await this.#playAnimation(activeTiles, 'shake');
+    const reveal = this.#engine.hint(type);
+    if (isNil(reveal)) {
+      this.#showAlert(t.hintNone);
       return;
     }
 
-    if (this.#hardMode) {
-      const violation = this.#checkHardModeConstraints(activeTiles, guessedWord);
-      if (violation) {
-        this.#showAlert(violation);
-        await this.#playAnimation(activeTiles, 'shake');
-        return;
-      }
+    this.#score -= cost;
+    this.#updateScore();
+    this.#saveRound();
+    this.#markHint(reveal);
+    this.#updateCandidates();
+
+    this.#showAlert(reveal.type === 'letter'
+      ? t.hintRevealedLetter.replace('{{position}}', String(reveal.position + 1)).replace('{{letter}}', reveal.letter)
+      : t.hintRevealedAbsent.replace('{{letter}}', reveal.letter), Config.alert.rewardDuration);
+  }
+
+  /**
+   * @description Reads the active tiles as a word, hands it to the engine for validation and
+   * evaluation, and reveals each tile's result color through a staggered flip animation.
+   * A rejected word shakes the row and shows the reason instead; a word missing from the dictionary
+   * can be added to the player's own words from that alert. In the multi-board modes the
+   * word is checked once and then played on every board that is not solved yet.
+   */
+  async submitGuess() {
+    const { delays: { betweenFlips } } = Config;
+
+    if (this.#locked) return;
+
+    const boards = this.#getActiveBoards();
+    if (boards.length === 0) return;
+
+    const rows = boards.map(({ tiles }) => tiles.filter(tile => tile.dataset.state === 'active-spot'));
+    const guessedWord = rows[0].reduce((word, tile) => word + tile.dataset.letter, '');
+
+    const [first, ...others] = boards;
+    const { states, error } = first.engine.guess(guessedWord);
+
+    if (error) {
+      if (error.type === 'noSuchWord') this.#offerPersonalWord(guessedWord);
+      else this.#showAlert(this.#formatGuessError(error));
+      await this.#playAnimation(rows.flat(), 'shake');
+      return;
     }
 
-    const tileStates = this.#computeTileStates(activeTiles);
-    this.#updateRevealedHints(activeTiles, tileStates);
+    const rowStates = [states, ...others.map(({ engine }) => engine.guess(guessedWord).states ?? [])];
+    const solvedRows = rows.filter((_, index) => rowStates[index].every(state => state === 'correct-spot')).flat();
+
+    this.#saveRound();
+    this.#updateScore();
+    for (const { index } of boards) this.#growBoard(index);
+    if (this.#mode === 'speedrun' && this.#engines.every(({ isOver }) => isOver)) this.#clock.stop();
 
-    await this.#playAnimation(activeTiles, 'flip', {
+    await Promise.all(boards.map(({ index: board }, index) => this.#playAnimation(rows[index], 'flip', {
       listener: 'transitionend',
       delay: betweenFlips,
-      onComplete: (tile, index, array) => {
-        this.#flipTile(tile, tileStates[index]);
+      onComplete: (tile, tileIndex, array) => {
+        this.#flipTile(tile, rowStates[index][tileIndex], board);
 
-        if (index === array.length - 1) {
-          tile.addEventListener('transitionend', () => (
-            this.#checkWinLose(guessedWord, array)
-          ), { once: true });
+        if (index === 0 && tileIndex === array.length - 1) {
+          tile.addEventListener('transitionend', () => {
+            this.#updateCandidates();
+            this.#checkWinLose(solvedRows);
+          }, { once: true });
         }
       }
-    });
+    })));
   }
 
   /**
-   * @description Places a letter on the next empty tile. Does nothing when the current row
-   * is already full.
+   * @description Places a letter on the next empty tile of every unsolved board. Does nothing
+   * when the current row is already full.
    * @param {string} key - The pressed letter; converted to uppercase before placement.
    */
   pressKey(key) {
-    const activeTiles = this.#tiles.filter(tile => tile.dataset.state === 'active-spot');
-    if (activeTiles.length >= this.#wordLength) return;
+    if (this.#locked) return;
+    if (this.#isTimed) this.#clock.start();
 
-    const nextTile = this.#tiles.find(tile => isNil(tile.dataset.letter));
-    if (!isNil(nextTile)) this.#setTile(nextTile, key.toLocaleUpperCase());
+    for (const { tiles } of this.#getActiveBoards()) {
+      const activeTiles = tiles.filter(tile => tile.dataset.state === 'active-spot');
+      if (activeTiles.length >= this.#wordLength) continue;
+
+      const nextTile = tiles.find(tile => isNil(tile.dataset.letter));
+      if (!isNil(nextTile)) this.#setTile(nextTile, key.toLocaleUpperCase());
+    }
   }
 
   /**
-   * @description Removes the last placed letter from the current row.
+   * @description Removes the last placed letter from the current row of every unsolved board.
    */
   deleteKey() {
-    const lastActiveTile = this.#tiles.findLast(tile => tile.dataset.state === 'active-spot');
-    if (!isNil(lastActiveTile)) this.#resetTile(lastActiveTile);
+    for (const { tiles } of this.#getActiveBoards()) {
+      const lastActiveTile = tiles.findLast(tile => tile.dataset.state === 'active-spot');
+      if (!isNil(lastActiveTile)) this.#resetTile(lastActiveTile);
+    }
+  }
+
+  /**
+   * @description Engine of the first board - the only one outside the multi-board modes, and the
+   * one single-board features (hard mode, hints, the candidates counter) work with.
+   * @returns {WordleEngine | null} The engine, or `null` while no round is being played.
+   */
+  get #engine() {
+    return this.#engines[0] ?? null;
   }
 
   /**
-   * @description Starts a new round: picks a fresh target word, resets all tile and key
-   * colors, and refreshes the scoreboard display.
+   * @description Whether this mode plays against the clock.
+   * @returns {boolean}
+   */
+  get #isTimed() {
+    return this.#mode === 'timeattack' || this.#mode === 'speedrun';
+  }
+
+  /**
+   * @description Whether this mode plays several boards at once.
+   * @returns {boolean}
+   */
+  get #isMultiBoard() {
+    return this.#boards.length > 1;
+  }
+
+  /**
+   * @description Boards still being played in the current round, with their position in `#boards`.
+   * @returns {Array<{ index: number, engine: WordleEngine, tiles: Array<Tile> }>} The unsolved boards, in order.
+   */
+  #getActiveBoards() {
+    return this.#engines
+      .map((engine, index) => ({ index, engine, tiles: this.#boards[index] }))
+      .filter(({ engine }) => !engine.isOver);
+  }
+
+  /**
+   * @description Every word submitted in the current round. A board stops taking guesses once it
+   * is solved, so the full list is the longest one among the boards.
+   * @returns {Array<string>} Submitted words, in order.
+   */
+  #getGuesses() {
+    return this.#engines.reduce((longest, engine) => (
+      engine.guesses.length > longest.length ? engine.guesses : longest
+    ), /** @type {Array<string>} */ ([]));
+  }
+
+  /**
+   * @description Starts a new round: picks a fresh target word for every board, resets all tile
+   * and key colors, and refreshes the scoreboard display. In daily mode the board is locked instead
+   * when today's word has already been played. The clock is reset too, except between the words
+   * of a time-attack run that is still going.
    */
   #initialize() {
+    this.#engines = [];
+    this.#locked = false;
+    this.#assisted = false;
+
+    if (this.#mode !== 'timeattack' || this.#clock.state === 'stopped') {
+      this.#clock.reset();
+      this.#solved = 0;
+    }
+
     this.#updateScore();
-    this.#setRandomTargetWord();
+    this.#tick();
 
-    this.#revealedHints = {
-      correctPositions: new Map(),
-      mustContain: new Set(),
-    };
+    for (const key of this.#keys) this.#resetKey(key);
+    for (const tile of this.#boards.flat()) this.#resetTile(tile);
+    for (const tiles of this.#boards) {
+      for (const tile of tiles.splice(this.#gridRows * this.#wordLength)) tile.remove();
+    }
+
+    if (this.#mode === 'daily') {
+      this.#dayKey = getDayKey();
+      this.#locked = Storage.getDailyResult(this.#wordLength)?.day === this.#dayKey;
+
+      if (this.#locked) {
+        Storage.clearRoundState(this.#mode, this.#wordLength);
+        this.#updateCandidates();
+        this.#showAlert(Config.translations.dailyPlayed, Config.alert.penaltyDuration);
+        return;
+      }
+    }
+
+    this.#engines = this.#pickTargetWords().map(targetWord => this.#createEngine(targetWord));
+    this.#updateCandidates();
+    this.#saveRound();
+  }
+
+  /**
+   * @description Sets up the rules for one board with the current dictionary and preferences.
+   * Hard mode is single-board only: hints from different boards would contradict each other.
+   * Absurdle rounds ignore the target and let the engine dodge guesses within the answer pool.
+   * @param {string} targetWord - The word to be guessed.
+   * @param {boolean} [hardMode] - Whether to play in hard mode; defaults to the player's preference.
+   * @returns {WordleEngine} A fresh engine with no guesses played.
+   */
+  #createEngine(targetWord, hardMode = this.#hardMode) {
+    return new WordleEngine({
+      allowed: this.#allowed,
+      ...(this.#mode === 'absurdle' ? { pool: this.#dictionary.answers } : { target: targetWord }),
+      hardMode: hardMode && !this.#isMultiBoard,
+      maxGuesses: this.#maxGuesses,
+      maxHints: Config.score.hintsPerRound,
+    });
+  }
 
-    for (const key of this.#keys) key.className = 'key';
-    for (const tile of this.#tiles) this.#resetTile(tile);
+  /**
+   * @description Points a hint of the given type costs in the current mode. Where hints are free,
+   * their use shows in the shared result and the statistics instead.
+   * @param {import('./WordleEngine').HintType} type - The hint type to price.
+   * @returns {number} The cost; `0` outside unlimited mode, which is the only scored one.
+   */
+  #getHintCost(type) {
+    if (this.#mode !== 'unlimited') return 0;
+
+    const { letterHintCost, absentHintCost } = Config.score;
+    return type === 'letter' ? letterHintCost : absentHintCost;
   }
 
   /**
-   * @description Picks a random word from the dictionary and sets it as the new target.
-   * Also logs it to the browser console - visible to anyone who opens DevTools (intentional).
+   * @description Resumes the saved round for this mode and word length: replays every submitted
+   * guess and hint through the engine and onto the grid and keyboard, and restores the score. The round
+   * keeps the hard-mode setting it was saved with; the player's preference applies again from the next round.
+   * Saves that no longer apply (another dictionary, another day, an already finished round) are ignored.
+   * Timed rounds are never saved, since the time spent away could not be accounted for.
+   * @returns {boolean} `true` if a round was resumed, `false` if a new one has to be started.
    */
-  #setRandomTargetWord() {
-    this.#targetWord = sampleFromArray(this.#dictionary);
+  #restore() {
+    if (this.#isTimed) return false;
+
+    const state = Storage.getRoundState(this.#mode, this.#wordLength);
+
+    if (isNil(state)) return false;
+
+    const targetWords = state.targetWords ?? [state.targetWord];
+
+    if (state.wordLength !== this.#wordLength || targetWords.length !== this.#boards.length) return false;
+    if (Number.isFinite(this.#maxGuesses) && (state.maxGuesses ?? Config.maxGuesses) !== this.#maxGuesses) return false;
+    if (this.#mode !== 'absurdle' && targetWords.some(word => !hasWord(this.#dictionary.allowed, word))) return false;
+    if (state.guesses.length >= this.#maxGuesses || targetWords.every(word => state.guesses.includes(word))) return false;
+    if (state.guesses.some(guess => guess.length !== this.#wordLength)) return false;
+    if (this.#mode === 'daily' && state.dayKey !== getDayKey()) return false;
+    if (this.#mode === 'challenge' && state.targetWord !== this.#fixedTarget) return false;
+
+    this.#dayKey = state.dayKey;
+    this.#score = state.score;
+    this.#assisted = state.assisted ?? false;
+    this.#engines = targetWords.map(targetWord => this.#createEngine(targetWord, state.hardMode));
+
+    for (const engine of this.#engines) engine.replay(state.guesses);
+    for (const reveal of state.hints ?? []) this.#engines[0].applyHint(reveal);
+
+    this.#updateScore();
+
+    for (const key of this.#keys) this.#resetKey(key);
+    for (const tile of this.#boards.flat()) this.#resetTile(tile);
+
+    this.#engines.forEach((engine, board) => {
+      const rowStates = engine.rowStates;
+      const tiles = this.#boards[board];
+
+      engine.guesses.forEach((guess, row) => {
+        this.#growBoard(board);
+
+        const rowTiles = tiles.slice(row * this.#wordLength, (row + 1) * this.#wordLength);
+        rowTiles.forEach((tile, index) => this.#setTile(tile, guess[index]));
+        rowTiles.forEach((tile, index) => this.#flipTile(tile, rowStates[row][index], board));
+      });
+
+      this.#growBoard(board);
+    });
+
+    for (const reveal of this.#engines[0].hintLog) this.#markHint(reveal);
+    this.#updateCandidates();
+
+    return true;
+  }
+
+  /**
+   * @description Writes the current round to storage so it survives a reload. Timed rounds are not saved.
+   */
+  #saveRound() {
+    if (isNil(this.#engine) || this.#isTimed) return;
+
+    const { correctPositions, mustContain } = this.#engine.hints;
+
+    Storage.setRoundState({
+      mode: this.#mode,
+      wordLength: this.#wordLength,
+      targetWord: this.#engine.target,
+      ...(this.#isMultiBoard && { targetWords: this.#engines.map(engine => engine.target) }),
+      ...(Number.isFinite(this.#maxGuesses) && { maxGuesses: this.#maxGuesses }),
+      guesses: this.#getGuesses(),
+      correctPositions: [...correctPositions],
+      mustContain: [...mustContain],
+      hardMode: this.#engine.hardMode,
+      score: this.#score,
+      dayKey: this.#dayKey,
+      hints: this.#engine.hintLog,
+      assisted: this.#assisted,
+    });
+  }
+
+  /**
+   * @description Picks the targets for a new round, one per board - the shared word of the day in
+   * daily mode, the friend's word in challenge mode, none yet in absurdle, distinct random ones from the answer pool otherwise.
+   * Also logs them to the browser console - visible to anyone who opens DevTools (intentional),
+   * except for challenges, where the word is meant to stay a secret from the player.
+   * @returns {Array<string>} The new target words, in board order.
+   */
+  #pickTargetWords() {
+    if (this.#mode === 'challenge') return [this.#fixedTarget];
+    if (this.#mode === 'absurdle') return [''];
+
+    const { answers } = this.#dictionary;
+    const targetWords = new Set();
+
+    if (this.#mode === 'daily') {
+      targetWords.add(pickDailyWord(answers, this.#dayKey, this.#wordLength));
+    } else {
+      while (targetWords.size < Math.min(this.#boards.length, answers.length)) targetWords.add(sampleFromArray(answers));
+    }
 
     console.groupCollapsed('Псст... искаш ли да надникнеш? 👀');
     console.info(
-      `%cДумата ти е %c"${this.#targetWord}"`,
+      `%cДумата ти е %c"${[...targetWords].join('", "')}"`,
       'color:orange;font-size:1.4rem',
       'color:lime;font-size:1.6rem;font-weight:bolder',
     );
     console.groupEnd();
+
+    return [...targetWords];
   }
 
   /**
@@ -266,67 +745,214 @@ export default class WordleGame {
   }
 
   /**
-   * @description Called after the last tile in a row finishes flipping. Awards points and
-   * starts a new round on a correct guess; deducts points and ends the game if all six rows
-   * are used up.
-   * @param {string} guess - The word the player just submitted.
-   * @param {Array<HTMLElement>} tiles - The row of tiles that was just revealed.
+   * @description Called after the last tile in a row finishes flipping. Awards the engine's reward
+   * on a correct guess; deducts points if all six rows are used up. Daily rounds leave the score
+   * untouched and record the outcome for the day instead; challenge and multi-board rounds touch
+   * neither the score nor the statistics. Absurdle rounds, which cannot be lost, are scored by the
+   * number of guesses taken, and only the fewest ever is kept. A won speed run keeps its time if it is
+   * the fastest yet. A won round dances first.
+   * Either way, a finished round locks the board and is handed to `onRoundEnd` with a sentence saying
+   * how it went, for the end-of-round panel to show; the next round starts only through `nextRound`. A board solved while others are still being played only dances.
+   * In time attack the next word follows right away instead, until `#endRun` stops the clock.
+   * @param {Array<HTMLElement>} tiles - The rows that were just solved, on any board.
    */
-  async #checkWinLose(guess, tiles) {
+  async #checkWinLose(tiles) {
     const {
-      maxGuesses,
-      translations: { win, lose },
+      translations: {
+        win, lose, dailyWin, dailyLose, challengeWin, challengeLose, multiWin, multiLose, absurdleWin,
+        timeAttackHit, timeAttackMiss, speedRunWin, speedRunLose,
+      },
       score: { penalty },
-      alert: { rewardDuration, penaltyDuration },
+      alert: { rewardDuration },
       delays: { betweenJumps },
     } = Config;
 
-    if (guess === this.#targetWord) {
-      const guessNumber = this.#tiles.filter(t =>
-        t.dataset.state === 'correct-spot'
-        || t.dataset.state === 'wrong-spot'
-        || t.dataset.state === 'missing-spot'
-      ).length / this.#wordLength;
+    const engine = this.#engine;
+    if (isNil(engine)) return;
 
-      const reward = maxGuesses - guessNumber + 1;
-      this.#score += reward;
+    if (!this.#engines.every(({ isOver }) => isOver)) {
+      await this.#playAnimation(tiles, 'dance', { delay: betweenJumps });
+      return;
+    }
 
-      await Promise.all([
-        this.#showAlert(win.replace(/{{reward}}/, reward.toString()), rewardDuration),
-        this.#playAnimation(tiles, 'dance', { delay: betweenJumps }),
-      ]);
+    if (this.#mode === 'timeattack') {
+      if (this.#clock.state === 'stopped') return;
+      if (engine.isWon) this.#solved += 1;
 
+      this.#showAlert(engine.isWon ? timeAttackHit : timeAttackMiss.replace(/{{word}}/, engine.target), rewardDuration);
       this.#initialize();
       return;
     }
 
-    const isGridFull = this.#tiles.every(tile => isString(tile.dataset.letter));
-    if (isGridFull) {
+    this.#locked = true;
+
+    const won = this.#engines.every(({ isWon }) => isWon);
+    const targetWord = engine.target;
+    const guessNumber = this.#getGuesses().length;
+    if (['unlimited', 'daily'].includes(this.#mode)) this.#recordStats(won, guessNumber, engine.hardMode, this.#assisted, engine.hintLog.length > 0);
+
+    /** @type {string} */
+    let summary;
+
+    if (this.#mode === 'speedrun') {
+      const time = this.#clock.elapsed;
+      const best = Storage.getSpeedRunBest(this.#wordLength);
+      if (won && (isNil(best) || time < best)) Storage.setSpeedRunBest(this.#wordLength, time);
+
+      summary = won ? speedRunWin.replace(/{{time}}/, formatDuration(time)) : speedRunLose.replace(/{{word}}/, targetWord);
+    } else if (this.#mode === 'absurdle') {
+      const best = Storage.getAbsurdleBest(this.#wordLength);
+      if (isNil(best) || guessNumber < best) Storage.setAbsurdleBest(this.#wordLength, guessNumber);
+
+      summary = absurdleWin.replace(/{{word}}/, targetWord).replace(/{{guesses}}/, guessNumber.toString());
+    } else if (this.#isMultiBoard) {
+      summary = won
+        ? multiWin.replace(/{{guesses}}/, guessNumber.toString())
+        : multiLose.replace(/{{words}}/, this.#engines.map(({ target }) => target).join(', '));
+    } else if (this.#mode === 'challenge') {
+      summary = won ? challengeWin.replace(/{{guesses}}/, guessNumber.toString()) : challengeLose.replace(/{{word}}/, targetWord);
+    } else if (this.#mode === 'daily') {
+      Storage.setDailyResult(this.#wordLength, { day: this.#dayKey, won, guesses: guessNumber });
+
+      summary = won ? dailyWin.replace(/{{guesses}}/, guessNumber.toString()) : dailyLose.replace(/{{word}}/, targetWord);
+    } else if (won) {
+      const reward = engine.reward;
+      this.#score += reward;
+
+      summary = win.replace(/{{reward}}/, reward.toString());
+    } else {
       if (this.#score > 0) this.#score -= penalty;
 
-      await this.#showAlert(lose.replace(/{{word}}/, this.#targetWord).replace(/{{penalty}}/g, penalty.toString()), penaltyDuration);
+      summary = lose.replace(/{{word}}/, targetWord).replace(/{{penalty}}/g, penalty.toString());
+    }
+
+    this.#updateScore();
+    if (won) await this.#playAnimation(tiles, 'dance', { delay: betweenJumps });
 
-      this.#initialize();
-      return;
+    this.#onRoundEnd(this.#getResult(won, summary));
+  }
+
+  /**
+   * @description Ends a time-attack run once the clock runs out: locks the board, keeps the number of
+   * solved words if it is the best yet, and hands the run to `onRoundEnd`. The word being played at
+   * that moment counts as missed; the run as a whole counts as won if any word was solved.
+   */
+  #endRun() {
+    this.#clock.stop();
+    this.#locked = true;
+
+    if (this.#solved > Storage.getTimeAttackBest(this.#wordLength)) Storage.setTimeAttackBest(this.#wordLength, this.#solved);
+
+    this.#updateScore();
+    this.#onRoundEnd(this.#getResult(this.#solved > 0, Config.translations.timeUp.replace(/{{count}}/, String(this.#solved))));
+  }
+
+  /**
+   * @description Summarises the round that just finished for `onRoundEnd`.
+   * @param {boolean} won - Whether the round counts as won.
+   * @param {string} summary - How the round went, in a sentence.
+   * @returns {RoundResult} The finished round.
+   */
+  #getResult(won, summary) {
+    const engine = this.#engines[0];
+
+    return {
+      won,
+      summary,
+      boards: this.#engines.map(({ target, isWon, rowStates }) => ({ targetWord: target, won: isWon, rows: rowStates })),
+      guessCount: this.#getGuesses().length,
+      guesses: this.#getGuesses(),
+      mode: this.#mode,
+      wordLength: this.#wordLength,
+      maxGuesses: this.#maxGuesses,
+      hardMode: engine.hardMode,
+      dayKey: this.#dayKey,
+      hintsUsed: engine.hintLog.length,
+      assisted: this.#assisted,
+      ...(this.#isTimed && { elapsedMs: this.#clock.elapsed }),
+      ...(this.#mode === 'timeattack' && { solved: this.#solved }),
+    };
+  }
+
+  /**
+   * @description Adds a finished round to the lifetime statistics of the current word length
+   * and difficulty. A loss resets the current streak and clears the last-win highlight.
+   * @param {boolean} won - Whether the round was solved.
+   * @param {number} guessNumber - How many guesses the round took.
+   * @param {boolean} hardMode - Whether the round was played in hard mode.
+   * @param {boolean} assisted - Whether the remaining-candidates counter was shown during the round.
+   * @param {boolean} hinted - Whether a hint was taken during the round.
+   */
+  #recordStats(won, guessNumber, hardMode, assisted, hinted) {
+    const stats = Storage.getStats(this.#wordLength, hardMode);
+
+    stats.played++;
+    if (assisted) stats.assisted++;
+    if (hinted) stats.hinted++;
+
+    if (won) {
+      stats.won++;
+      stats.currentStreak++;
+      stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+      while (stats.distribution.length < guessNumber) stats.distribution.push(0);
+      stats.distribution[guessNumber - 1]++;
+      stats.lastWin = guessNumber;
+    } else {
+      stats.currentStreak = 0;
+      stats.lastWin = null;
     }
+
+    Storage.setStats(this.#wordLength, hardMode, stats);
   }
 
   /**
    * @description Checks whether the current score beats the stored high score, persists it
-   * to localStorage if so, and refreshes the scoreboard text.
+   * to localStorage if so, and refreshes the scoreboard text. Only unlimited rounds are scored,
+   * so in the other modes the scoreboard is hidden and storage is left alone.
    */
   #updateScore() {
-    const score = this.#scoreboard.children.namedItem('score');
-    const highscore = this.#scoreboard.children.namedItem('highscore');
+    const score = /** @type {HTMLElement | null} */ (this.#scoreboard.children.namedItem('score'));
+    const highscore = /** @type {HTMLElement | null} */ (this.#scoreboard.children.namedItem('highscore'));
 
     if (isNil(score) || isNil(highscore)) return;
 
     const { translations } = Config;
 
-    Storage.setScore(this.#wordLength, this.#score);
+    const isScored = this.#mode === 'unlimited';
+    const isAbsurdle = this.#mode === 'absurdle';
+    score.hidden = !isScored && !isAbsurdle && this.#mode !== 'timeattack';
+    highscore.hidden = !isScored && !isAbsurdle && !this.#isTimed;
+
+    const countdown = /** @type {HTMLElement | null} */ (this.#scoreboard.children.namedItem('countdown'));
+    if (!isNil(countdown)) countdown.hidden = this.#mode !== 'daily';
+
+    const timer = /** @type {HTMLElement | null} */ (this.#scoreboard.children.namedItem('timer'));
+    if (!isNil(timer)) timer.hidden = !this.#isTimed;
+
+    if (this.#mode === 'timeattack') {
+      score.textContent = `${translations.timeAttackSolved}${this.#solved}`;
+      highscore.textContent = `${translations.timeAttackBest}${Storage.getTimeAttackBest(this.#wordLength)}`;
+      return;
+    }
+
+    if (this.#mode === 'speedrun') {
+      const best = Storage.getSpeedRunBest(this.#wordLength);
+      highscore.textContent = `${translations.speedRunBest}${isNil(best) ? '–' : formatDuration(best)}`;
+      return;
+    }
+
+    if (isAbsurdle) {
+      score.textContent = `${translations.absurdleGuesses}${this.#getGuesses().length}`;
+      highscore.textContent = `${translations.absurdleBest}${Storage.getAbsurdleBest(this.#wordLength) ?? '–'}`;
+      return;
+    }
+
+    if (!isScored) return;
+
+    Storage.setScore(this.#wordLength, this.#maxGuesses, this.#score);
 
     if (this.#score > this.#highscore) {
-      Storage.setHighscore(this.#wordLength, this.#score);
+      Storage.setHighscore(this.#wordLength, this.#maxGuesses, this.#score);
       this.#highscore = this.#score;
     }
 
@@ -334,20 +960,106 @@ export default class WordleGame {
     highscore.textContent = `${translations.highscore}${this.#highscore}`;
   }
 
+  /**
+   * @description Refreshes the timer of a timed mode: the time left in time attack, the time taken
+   * in speed run. Ends the time-attack run once its time is up.
+   */
+  #tick() {
+    const { translations, timed: { attackDuration } } = Config;
+
+    const timer = this.#scoreboard.children.namedItem('timer');
+    if (isNil(timer)) return;
+
+    if (this.#mode !== 'timeattack') {
+      timer.textContent = `${translations.timeElapsed}${formatDuration(this.#clock.elapsed)}`;
+      return;
+    }
+
+    const left = Math.max(0, attackDuration - this.#clock.elapsed);
+    timer.textContent = `${translations.timeLeft}${formatDuration(left)}`;
+
+    if (left === 0 && this.#clock.state === 'running') this.#endRun();
+  }
+
+  /**
+   * @description Refreshes the next-word countdown and, once a locked board reaches the new day,
+   * starts the next daily round. A round in progress at midnight is left to finish on its own word.
+   */
+  #updateCountdown() {
+    const countdown = this.#scoreboard.children.namedItem('countdown');
+    if (isNil(countdown)) return;
+
+    countdown.textContent = `${Config.translations.countdown}${formatCountdown(getMsUntilNextDay())}`;
+
+    if (this.#locked && getDayKey() !== this.#dayKey) this.#initialize();
+  }
+
+  /**
+   * @description Refreshes the remaining-candidates panel: the number of words that still match
+   * every row and hint, and the words themselves once there are few enough to list. Challenge
+   * targets may be any accepted word, so the whole guess list is searched there; elsewhere only the
+   * answer pool is. Hidden while the counter is off or no round is being played.
+   */
+  #updateCandidates() {
+    const {
+      candidates: { listThreshold },
+      translations: { candidatesCount, candidatesTooMany },
+    } = Config;
+
+    const panel = this.#candidates;
+    panel.hidden = !this.#showCandidates || isNil(this.#engine) || this.#isMultiBoard;
+
+    if (panel.hidden || isNil(this.#engine)) return;
+    if (!this.#locked) this.#assisted = true;
+
+    const pool = this.#mode === 'challenge' ? this.#dictionary.allowed : this.#dictionary.answers;
+    const candidates = this.#engine.filterCandidates(pool);
+
+    panel.querySelector('summary')?.replaceChildren(candidatesCount.replace('{{count}}', String(candidates.length)));
+    panel.querySelector('.candidates-list')?.replaceChildren(...(candidates.length <= listThreshold
+      ? candidates.map(word => createElement('li', { textContent: word }))
+      : [createElement('li', { attributes: { class: 'candidates-note' }, textContent: candidatesTooMany.replace('{{max}}', String(listThreshold)) })]));
+  }
+
+  /**
+   * @description Rejects a word the dictionary lacks with an alert that adds it to the player's own
+   * words when tapped. From then on it is accepted as a guess of this length, in this round and every
+   * later one, but never drawn as a target.
+   * @param {string} word - The rejected word.
+   */
+  #offerPersonalWord(word) {
+    const { translations: t, alert: { penaltyDuration, rewardDuration } } = Config;
+
+    this.#showAlert(t.personalWordOffer, penaltyDuration, () => {
+      Storage.setPersonalWords(this.#wordLength, addWords(Storage.getPersonalWords(this.#wordLength), [word]));
+      this.updatePersonalWords();
+      this.#showAlert(t.personalWordAdded.replace('{{word}}', word), rewardDuration);
+    });
+  }
+
   /**
    * @description Prepends a dismissible alert to the notification container and automatically
-   * fades it out after `duration` milliseconds.
+   * fades it out after `duration` milliseconds. An alert with an action can be tapped once to run
+   * it, which also dismisses the alert; it wraps over several lines where one does not fit.
    * @param {string} message - Text to show in the alert.
    * @param {number} [duration] - How long the alert stays visible before fading (ms). Defaults to `1000`.
+   * @param {() => void} [action] - Run when the alert is tapped.
    */
-  async #showAlert(message, duration = 1000) {
+  async #showAlert(message, duration = 1000, action) {
     const alert = createElement('div', {
       parent: this.#notification,
       prepend: true,
-      attributes: { class: 'alert' },
+      attributes: { class: action ? 'alert offer' : 'alert' },
       textContent: message,
     });
 
+    if (action) {
+      alert.addEventListener('pointerdown', () => {
+        alert.remove();
+        action();
+      }, { once: true });
+    }
+
     await this.#playAnimation([alert], 'hide', {
       listener: 'transitionend',
       delay: duration,
@@ -355,58 +1067,51 @@ export default class WordleGame {
     });
   }
 
-  /**
-   * @description Runs the standard two-pass Wordle evaluation algorithm against the current
-   * target word. Pass 1 - marks exact-position matches as `'correct-spot'` and removes those
-   * letters from the pool. Pass 2 - for each remaining tile, checks the reduced pool and
-   * marks as `'wrong-spot'` if found (consuming that slot), or `'missing-spot'` otherwise.
-   * This ensures a single occurrence in the target never produces more than one colored result.
-   * @param {Array<HTMLElement>} tiles - Active tile elements for the current row.
-   * @returns {Array<LettersState>} One state per tile, in the same order.
-   */
-  #computeTileStates(tiles) {
-    const guessLetters = tiles.map(tile => tile.dataset.letter ?? '');
-    const targetLetters = [...this.#targetWord];
-
-    /** @type {Array<LettersState>} */
-    const states = new Array(guessLetters.length).fill('missing-spot');
-
-    for (let i = 0; i < guessLetters.length; i++) {
-      if (guessLetters[i] === targetLetters[i]) {
-        states[i] = 'correct-spot';
-        targetLetters[i] = '';
-      }
-    }
-
-    for (let i = 0; i < guessLetters.length; i++) {
-      if (states[i] === 'correct-spot') continue;
-
-      const targetIndex = targetLetters.indexOf(guessLetters[i]);
-
-      if (targetIndex !== -1) {
-        states[i] = 'wrong-spot';
-        targetLetters[targetIndex] = '';
-      }
-    }
-
-    return states;
-  }
-
   /**
    * @description Applies a pre-computed `LettersState` to a tile and upgrades the matching
    * keyboard key to the best state it has received so far
    * (green > yellow > gray - never downgraded).
    * @param {HTMLElement} tile - The tile to update.
    * @param {LettersState} state - The evaluation result for this tile.
+   * @param {number} [board] - Index of the board the tile belongs to (default: `0`).
    */
-  #flipTile(tile, state) {
+  #flipTile(tile, state, board = 0) {
     const letter = tile.dataset.letter;
     if (isNil(letter)) return;
 
+    tile.dataset.state = state;
+    this.#markKey(letter, state, board);
+  }
+
+  /**
+   * @description Shows a hint on the keyboard: a revealed letter's key turns green, a ruled-out one grey.
+   * @param {import('./WordleEngine').HintReveal} reveal - The hint to show.
+   */
+  #markHint(reveal) {
+    this.#markKey(reveal.letter, reveal.type === 'letter' ? 'correct-spot' : 'missing-spot');
+  }
+
+  /**
+   * @description Upgrades a keyboard key to the best state it has received so far
+   * (green > yellow > gray - never downgraded). In the multi-board modes each board keeps its own
+   * state on the key, shown as one segment of a split background.
+   * @param {string} letter - The letter whose key to update.
+   * @param {LettersState} state - The state the letter was just found in.
+   * @param {number} [board] - Index of the board the state comes from (default: `0`).
+   */
+  #markKey(letter, state, board = 0) {
     const key = this.#keys.find(key => key.dataset.key === letter);
     if (isNil(key)) return;
 
-    tile.dataset.state = state;
+    if (this.#isMultiBoard) {
+      const previous = /** @type {LettersState | undefined} */ (key.dataset[`board${board}`]);
+      const best = !isNil(previous) && STATE_RANK[previous] >= STATE_RANK[state] ? previous : state;
+
+      key.dataset[`board${board}`] = best;
+      key.style.setProperty(`--key-board-${board}`, `var(--clr-${best})`);
+      key.classList.add(`split-${this.#boards.length}`);
+      return;
+    }
 
     if (state === 'correct-spot') {
       key.classList.remove('wrong-spot', 'missing-spot');
@@ -419,6 +1124,22 @@ export default class WordleGame {
     }
   }
 
+  /**
+   * @description Clears every color a key has received, including the per-board segments.
+   * Other inline styles, such as the row placement of the keyboard layout, are kept.
+   * @param {HTMLElement} key - The key to reset.
+   */
+  #resetKey(key) {
+    key.className = 'key';
+
+    for (const name of Object.keys(key.dataset)) {
+      if (!name.startsWith('board')) continue;
+
+      key.style.removeProperty(`--key-board-${name.slice('board'.length)}`);
+      delete key.dataset[name];
+    }
+  }
+
   /**
    * @description Writes a letter onto a tile and marks it `'active-spot'`
    * when the player has typed this letter but has not yet submitted the row.
@@ -431,6 +1152,27 @@ export default class WordleGame {
     tile.dataset.state = 'active-spot';
   }
 
+  /**
+   * @description Adds an empty row to a board that has run out of them while its round goes on,
+   * which only happens in absurdle, and scrolls it into view.
+   * @param {number} board - Index of the board to check.
+   */
+  #growBoard(board) {
+    const tiles = this.#boards[board];
+    const engine = this.#engines[board];
+
+    if (isNil(engine) || engine.isOver || tiles.some(tile => isNil(tile.dataset.letter))) return;
+
+    const container = tiles[0].parentElement;
+    if (isNil(container)) return;
+
+    container.append(...createArray(this.#wordLength, () => createElement('div', { attributes: { class: 'tile' } })));
+    /** @type {Array<Tile>} */
+    const grown = Array.from(container.querySelectorAll('.tile'));
+    tiles.push(...grown.slice(tiles.length));
+    tiles[tiles.length - 1].scrollIntoView({ block: 'nearest' });
+  }
+
   /**
    * @description Clears a tile's letter, text content, and visual state, restoring it to its
    * blank initial appearance.
@@ -443,48 +1185,13 @@ export default class WordleGame {
   }
 
   /**
-   * @description Validates the guessed word against accumulated hard mode constraints.
-   * First checks exact-position requirements (green hints), then checks that all
-   * must-contain letters (yellow and green hints) appear somewhere in the guess.
-   * @param {Array<Tile>} tiles - Active tiles for the current row.
-   * @param {string} guessedWord - The word formed from those tiles.
-   * @returns {string | null} An error message if a constraint is violated, or `null` if valid.
-   */
-  #checkHardModeConstraints(tiles, guessedWord) {
-    const { translations } = Config;
-
-    for (const [position, letter] of this.#revealedHints.correctPositions) {
-      if (tiles[position].dataset.letter !== letter) {
-        return translations.hardModeCorrectSpot
-          .replace('{{position}}', (position + 1).toString())
-          .replace('{{letter}}', letter);
-      }
-    }
-
-    for (const letter of this.#revealedHints.mustContain) {
-      if (!guessedWord.includes(letter)) {
-        return translations.hardModeWrongSpot.replace('{{letter}}', letter);
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * @description Records newly revealed hints after a row is evaluated so that subsequent
-   * guesses can be checked against them in hard mode.
-   * @param {Array<Tile>} tiles - The evaluated row's tiles.
-   * @param {Array<LettersState>} states - The computed state for each tile.
+   * @description Turns a rejected guess into the alert shown to the player.
+   * @param {import('./WordleEngine').GuessError} error - Why the engine rejected the guess.
+   * @returns {string} The translated message with its placeholders filled in.
    */
-  #updateRevealedHints(tiles, states) {
-    for (let i = 0; i < tiles.length; i++) {
-      const letter = tiles[i].dataset.letter ?? '';
-      if (states[i] === 'correct-spot') {
-        this.#revealedHints.correctPositions.set(i, letter);
-        this.#revealedHints.mustContain.add(letter);
-      } else if (states[i] === 'wrong-spot') {
-        this.#revealedHints.mustContain.add(letter);
-      }
-    }
+  #formatGuessError({ type, position, letter }) {
+    return Config.translations[type]
+      .replace('{{position}}', String(position))
+      .replace('{{letter}}', letter ?? '');
   }
 }
@@ -1,6 +1,6 @@
 import WordleGame from './WordleGame';
-import { createArray, createElement, isString, Storage, loadDictionary } from './utilities';
-import { createHelpIconSVG, createSettingsIconSVG, createDeleteKeySVG, createHelpModal, createSettingsModal } from './templates';
+import { createArray, createElement, isNil, isString, Storage, loadDictionary, hasWord, loadDefinition, buildShareText, shareText, buildWordReport, downloadText, getDayKey, encodeChallenge, decodeChallenge, requestAnalysis, getBoardLayout, loadLocale, mapPhysicalKey, isBulgarianLetter, isForeignLetter, registerServiceWorker } from './utilities';
+import { createHelpIconSVG, createSettingsIconSVG, createStatsIconSVG, createHintIconSVG, createDeleteKeySVG, createHelpModal, renderHelpModal, createSettingsModal, renderPersonalWords, createStatsModal, renderStatsModal, createResultModal, renderResultModal, renderResultAnalysis, renderResultDefinitions, createHintModal, renderHintModal } from './templates';
 import Config from './config';
 
 /**
@@ -10,10 +10,18 @@ import Config from './config';
  * @typedef {object} InterfaceElements
  * @property {HTMLElement} notification - Container for alert messages; cleared on each new load.
  * @property {HTMLElement} scoreboard - Displays current and high score.
- * @property {HTMLElement} grid - The tile grid; rebuilt when word length changes.
+ * @property {HTMLElement} grid - Holds one `.board` of tiles per board; rebuilt when word length or mode changes.
  * @property {HTMLElement} keyboard - The on-screen keyboard; updated with result colors after each guess.
+ * @property {HTMLElement} candidates - Remaining-candidates panel under the scoreboard; filled by the game.
  * @property {HTMLElement} helpModal - How-to-play overlay.
  * @property {HTMLElement} settingsModal - Settings overlay.
+ * @property {HTMLElement} statsModal - Statistics overlay; its body is re-rendered on every open.
+ * @property {HTMLElement} resultModal - End-of-round overlay; its body is re-rendered for every finished round.
+ * @property {HTMLElement} hintModal - Hint overlay; its body is re-rendered on every open.
+ */
+/**
+ * @typedef {Omit<InterfaceElements, 'helpModal' | 'settingsModal' | 'statsModal' | 'resultModal' | 'hintModal'>} GameElements
+ * The interface elements handed to every game instance.
  */
 
 export default class WordleUIController {
@@ -33,41 +41,107 @@ export default class WordleUIController {
    */
   #wordLength;
   /**
-   * Stable DOM references shared across game instances.
-   * @type {Omit<InterfaceElements, 'helpModal' | 'settingsModal'>}
+   * Cached to skip redundant reloads when the user selects the mode already active.
+   * @type {import('./WordleGame').GameMode}
+   */
+  #mode;
+  /**
+   * How Latin physical key presses are read; cached so every key press does not hit storage.
+   * @type {import('./utilities').InputLayout}
+   */
+  #inputLayout = Storage.getInputLayout();
+  /**
+   * Word decoded from the challenge link the page was opened with. Empty when no challenge is active.
+   * @type {string}
+   */
+  #challengeWord;
+  /**
+   * DOM references shared across game instances; replaced only when the interface is rebuilt for another language.
+   * @type {GameElements}
    */
   #gameElements;
+  /**
+   * Switches to a newer deployment that has finished installing; `null` until the service worker reports one.
+   * @type {(() => void) | null}
+   */
+  #activateUpdate = null;
+  /**
+   * Opens the end-of-round modal for a finished round. Assigned once the modals are wired.
+   * @type {import('./WordleGame').RoundEndCallback}
+   */
+  #showResult = () => { };
 
   /**
-   * @description Applies the stored theme before building the DOM to prevent a flash,
-   * then kicks off the first dictionary load.
+   * @description Applies the stored theme before building the DOM to prevent a flash and follows
+   * the system theme until the player picks one, then kicks off the first dictionary load. Expects the stored language to be active already.
+   * A challenge link overrides the stored word length and mode for this page load only;
+   * the preferences themselves are left untouched.
    */
   constructor() {
     document.documentElement.dataset.theme = Storage.getTheme();
     WordleUIController.#updateThemeColor();
 
-    this.#wordLength = Storage.getWordLength();
+    // Registered here rather than with the settings, which are rebuilt on every language change.
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', ({ matches }) => {
+      if (Storage.hasThemePreference()) return;
+
+      document.documentElement.dataset.theme = matches ? 'dark' : 'light';
+      const darkThemeToggle = /** @type {HTMLInputElement | null} */ (document.getElementById('dark-theme-toggle'));
+      if (darkThemeToggle) darkThemeToggle.checked = matches;
+      WordleUIController.#updateThemeColor();
+    });
+
+    const challengeCode = new URLSearchParams(location.search).get(Config.challengeParam);
+    this.#challengeWord = decodeChallenge(challengeCode ?? '') ?? '';
 
-    const { helpModal, settingsModal, ...gameElements } = WordleUIController.createInterface(this.#wordLength);
-    this.#gameElements = gameElements;
+    this.#wordLength = this.#challengeWord.length || Storage.getWordLength();
+    this.#mode = this.#challengeWord ? 'challenge' : Storage.getMode();
+
+    this.#gameElements = this.#mount();
 
     this.#controller = new AbortController();
 
-    this.#setupModals(helpModal, settingsModal);
-    this.#load(this.#wordLength);
+    registerServiceWorker((activate) => {
+      this.#activateUpdate = activate;
+      this.#promptUpdate();
+    }).catch(err => console.error('Failed to register service worker:', err));
+
+    if (!isNil(challengeCode) && !this.#challengeWord) {
+      this.#clearChallenge();
+      this.#load(this.#wordLength).then(() => this.#flashNotification(Config.translations.challengeInvalid));
+    } else {
+      this.#load(this.#wordLength);
+    }
+  }
+
+  /**
+   * @description Builds the whole interface in the active language and wires its modals.
+   * Runs once on start and again after every language change.
+   * @returns {GameElements} The elements shared with the game.
+   */
+  #mount() {
+    const { helpModal, settingsModal, statsModal, resultModal, hintModal, ...gameElements } = WordleUIController.createInterface(this.#wordLength, this.#mode);
+
+    this.#setupModals(helpModal, settingsModal, statsModal, resultModal, hintModal);
+
+    return gameElements;
   }
 
   /**
    * @description Central switch for game input. Disabled while animations run, while the
-   * dictionary is loading, and while any modal is open.
+   * dictionary is loading, and while any modal is open. Physical key presses are read through the
+   * chosen input layout; presses with Ctrl, Alt or Meta are left to the browser, so shortcuts keep
+   * working when Latin keys are mapped to letters.
    * @param {boolean} enable - `true` to attach listeners, `false` to remove them.
    */
   #toggleEventListeners(enable) {
-    const eventHandler = (/** @type {KeyboardEvent | PointerEvent} */ event) =>
-      this.#eventHandler(
-        (/** @type {KeyboardEvent} */ (event)).key
-        || (/** @type {HTMLElement | null} */ (event.target))?.dataset?.key
-      );
+    const eventHandler = (/** @type {KeyboardEvent | PointerEvent} */ event) => {
+      if (!('key' in event)) {
+        this.#eventHandler((/** @type {HTMLElement | null} */ (event.target))?.dataset?.key);
+      } else if (!event.ctrlKey && !event.altKey && !event.metaKey) {
+        this.#eventHandler(mapPhysicalKey(event.key, this.#inputLayout));
+      }
+    };
 
     if (enable) {
       const { signal } = this.#controller;
@@ -81,16 +155,22 @@ export default class WordleUIController {
 
   /**
    * @description Unified handler for both physical keyboard and on-screen button input.
-   * Input is re-gated around each action to prevent animation overlap.
+   * Input is re-gated around each action to prevent animation overlap. Cyrillic letters outside
+   * the Bulgarian alphabet are refused with a notification rather than silently dropped.
    * @param {string | undefined} key - The letter, `'Enter'`, `'Delete'`, or `'Backspace'`;
    * `undefined` for events that didn't originate from a recognised input source.
    */
   async #eventHandler(key) {
     if (!isString(key) || !this.#game) return;
 
+    if (isForeignLetter(key)) {
+      this.#flashNotification(Config.translations.foreignLetter.replace('{{letter}}', key.toLocaleUpperCase()));
+      return;
+    }
+
     this.#toggleEventListeners(false);
 
-    if (key.match(/^[а-яА-Я]$/)) {
+    if (isBulgarianLetter(key)) {
       this.#game.pressKey(key);
     } else if (key === 'Enter') {
       await this.#game.submitGuess();
@@ -116,26 +196,79 @@ export default class WordleUIController {
     });
   }
 
+  /**
+   * @description Same as `#showNotification`, but removes the notification on its own after `duration`.
+   * @param {string} message - Text to show in the notification.
+   * @param {number} [duration] - How long the notification stays visible (ms).
+   */
+  #flashNotification(message, duration = Config.alert.penaltyDuration) {
+    const alert = this.#showNotification(message);
+    setTimeout(() => alert.remove(), duration);
+  }
+
+  /**
+   * @description Offers the waiting deployment as a notification that reloads into it when tapped.
+   * Shown again after every load, since loading clears the notifications.
+   */
+  #promptUpdate() {
+    if (!this.#activateUpdate) return;
+
+    const alert = this.#showNotification(Config.translations.updateAvailable);
+    alert.classList.add('retryable');
+    alert.addEventListener('pointerdown', this.#activateUpdate, { once: true });
+  }
+
   /**
    * @description On failure, the notification becomes a retry button and input stays
-   * blocked until the next successful load.
+   * blocked until the next successful load. While offline it says so instead, and the load is
+   * retried on its own once the connection returns. The previous game is disposed first so its
+   * timers cannot write into the shared elements. The new game resumes any saved round for
+   * this mode and length on its own. A challenge word missing from the dictionary is treated
+   * as a broken link: the challenge is dropped and the regular game loads instead.
    * @param {number} wordLength - Word length to fetch the dictionary for.
    */
   async #load(wordLength) {
+    this.#game?.dispose();
+    this.#game = null;
+
     this.#gameElements.notification.replaceChildren();
+    this.#promptUpdate();
     const alert = this.#showNotification(Config.translations.loading);
 
     try {
       const dictionary = await loadDictionary(wordLength);
       alert.remove();
 
-      this.#game = new WordleGame({ ...this.#gameElements, dictionary, wordLength });
+      if (this.#mode === 'challenge' && !hasWord(dictionary.allowed, this.#challengeWord)) {
+        await this.#leaveChallenge();
+        this.#flashNotification(Config.translations.challengeInvalid);
+        return;
+      }
+
+      this.#game = new WordleGame({
+        ...this.#gameElements,
+        dictionary,
+        wordLength,
+        mode: this.#mode,
+        targetWord: this.#challengeWord,
+        onRoundEnd: result => this.#showResult(result),
+      });
       this.#toggleEventListeners(true);
+
+      if (this.#mode === 'challenge') {
+        this.#flashNotification(Config.translations.challengeStarted.replace('{{length}}', String(wordLength)));
+      }
     } catch (err) {
-      alert.textContent = Config.translations.loadingError;
+      const offline = !navigator.onLine;
+
+      alert.textContent = offline ? Config.translations.offlineError : Config.translations.loadingError;
       alert.classList.add('retryable');
       alert.addEventListener('pointerdown', () => this.#load(wordLength), { once: true });
 
+      if (offline) {
+        window.addEventListener('online', () => alert.isConnected && this.#load(wordLength), { once: true });
+      }
+
       console.error('Failed to load game:', err);
     }
   }
@@ -149,28 +282,213 @@ export default class WordleUIController {
   async #rebuild(newWordLength, settingsModal) {
     settingsModal.setAttribute('hidden', '');
 
+    if (this.#mode === 'challenge') this.#clearChallenge();
+
     Storage.setWordLength(newWordLength);
+    this.#resizeGrid(newWordLength);
+
+    await this.#load(newWordLength);
+  }
+
+  /**
+   * @description Same close-first guard as `#rebuild`. The grid gets the new number of rows, and
+   * the game restarts with the score and high score kept for that guess count.
+   * @param {number} newMaxGuesses - The guess count the player just selected.
+   * @param {HTMLElement} settingsModal - Closed before the fetch starts to block a second trigger.
+   */
+  async #changeMaxGuesses(newMaxGuesses, settingsModal) {
+    settingsModal.setAttribute('hidden', '');
+
+    Storage.setMaxGuesses(newMaxGuesses);
+    this.#resizeGrid(this.#wordLength);
+
+    await this.#load(this.#wordLength);
+  }
+
+  /**
+   * @description Same close-first guard as `#rebuild`. Every element is rebuilt in the new language,
+   * so the game is reloaded as well: a saved round resumes where it was, a timed run starts over.
+   * If the language pack fails to load, the current language stays and the round goes on.
+   * @param {import('./utilities').Locale} newLocale - The language the player just selected.
+   * @param {HTMLElement} settingsModal - Closed before the pack is fetched to block a second trigger.
+   */
+  async #changeLocale(newLocale, settingsModal) {
+    settingsModal.setAttribute('hidden', '');
+
+    try {
+      await loadLocale(newLocale);
+    } catch (err) {
+      this.#toggleEventListeners(true);
+      this.#game?.resumeClock();
+      this.#flashNotification(Config.translations.localeError);
+      console.error('Failed to load locale:', err);
+      return;
+    }
+
+    Storage.setLocale(newLocale);
+
+    this.#game?.dispose();
+    this.#game = null;
+
+    document.body.replaceChildren();
+    this.#gameElements = this.#mount();
+
+    await this.#load(this.#wordLength);
+  }
+
+  /**
+   * @description Replaces the grid boards for a new word length or mode and updates the CSS
+   * variables that drive the grid layout.
+   * @param {number} newWordLength - The word length to size the grid for.
+   */
+  #resizeGrid(newWordLength) {
     this.#wordLength = newWordLength;
-    document.documentElement.style.setProperty('--word-length', String(newWordLength));
+    this.#gameElements.grid.replaceChildren(...WordleUIController.#createBoards(newWordLength, this.#mode));
+  }
 
-    const { grid } = this.#gameElements;
-    grid.replaceChildren(
-      ...Array.from({ length: Config.maxGuesses * newWordLength }, () =>
-        createElement('div', { attributes: { class: 'tile' } })
-      )
-    );
+  /**
+   * @description Forgets the active challenge and strips it from the address bar, so a reload
+   * or a shared copy of the URL does not restart it. Restores the stored mode.
+   */
+  #clearChallenge() {
+    this.#challengeWord = '';
+    this.#mode = Storage.getMode();
 
-    await this.#load(newWordLength);
+    const url = new URL(location.href);
+    url.searchParams.delete(Config.challengeParam);
+    history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * @description Ends a challenge and returns to the regular game with the stored word length and mode.
+   */
+  async #leaveChallenge() {
+    this.#clearChallenge();
+    this.#resizeGrid(Storage.getWordLength());
+
+    await this.#load(this.#wordLength);
+  }
+
+  /**
+   * @description Validates a word typed into the challenge form against its dictionary and hands
+   * the resulting link to the share sheet or the clipboard.
+   * @param {string} input - The raw text from the challenge input.
+   * @returns {Promise<string>} Status message for the challenge form; empty when the share sheet took over.
+   */
+  async #createChallengeLink(input) {
+    const { wordLengthOptions, translations: t } = Config;
+    const word = input.trim().toLocaleUpperCase();
+
+    if (!wordLengthOptions.includes(word.length)) {
+      return t.challengeLength
+        .replace('{{min}}', String(Math.min(...wordLengthOptions)))
+        .replace('{{max}}', String(Math.max(...wordLengthOptions)));
+    }
+
+    try {
+      const dictionary = await loadDictionary(word.length);
+      const code = encodeChallenge(word);
+      if (isNil(code) || !hasWord(dictionary.allowed, word)) return t.noSuchWord;
+
+      const url = new URL(location.pathname, location.origin);
+      url.searchParams.set(Config.challengeParam, code);
+
+      const outcome = await shareText(url.href);
+      return outcome === 'copied' ? t.challengeCopied : '';
+    } catch (err) {
+      console.error('Failed to create challenge:', err);
+      return t.shareFailed;
+    }
+  }
+
+  /**
+   * @description Fills the "what does it mean" section of the end-of-round modal once the definitions
+   * of the target words arrive. They are downloaded only now, per word length, so loading a dictionary
+   * does not wait for them. A result that is no longer shown is left alone; a failed download leaves
+   * the section hidden.
+   * @param {HTMLElement} resultModal - The end-of-round overlay, rendered for `result`.
+   * @param {import('./WordleGame').RoundResult} result - The round that just finished.
+   */
+  static async #showDefinitions(resultModal, result) {
+    const section = resultModal.querySelector('.result-definitions');
+    const words = [...new Set(result.boards.map(({ targetWord }) => targetWord))].filter(Boolean);
+
+    try {
+      const definitions = await Promise.all(words.map(async word => ({ word, entry: await loadDefinition(word) })));
+      const entries = definitions.flatMap(({ word, entry }) => (entry ? [{ word, ...entry }] : []));
+
+      if (section?.isConnected) renderResultDefinitions(resultModal, entries);
+    } catch (err) {
+      console.error('Failed to load definitions:', err);
+    }
+  }
+
+  /**
+   * @description Grades the guesses of a finished round in a worker and shows the breakdown in the
+   * end-of-round modal. Candidates are counted in the same list the target was drawn from.
+   * @param {HTMLElement} resultModal - The end-of-round overlay, rendered for `result`.
+   * @param {import('./WordleGame').RoundResult} result - The round to grade.
+   */
+  async #showAnalysis(resultModal, result) {
+    const { translations: t } = Config;
+
+    const button = /** @type {HTMLButtonElement | null} */ (resultModal.querySelector('#analysis-btn'));
+    const container = resultModal.querySelector('.result-analysis');
+    if (!button || !container) return;
+
+    button.hidden = true;
+    container.textContent = t.analysisLoading;
+
+    try {
+      const dictionary = await loadDictionary(result.wordLength);
+      const analysis = await requestAnalysis({
+        guesses: result.guesses,
+        rows: result.boards[0].rows,
+        pool: result.mode === 'challenge' ? dictionary.allowed : dictionary.answers,
+        allowed: dictionary.allowed,
+      });
+
+      if (container.isConnected) renderResultAnalysis(resultModal, analysis);
+    } catch (err) {
+      container.textContent = t.analysisFailed;
+      console.error('Failed to analyse round:', err);
+    }
+  }
+
+  /**
+   * @description Same close-first guard as `#rebuild`. The grid is rebuilt, since modes
+   * differ in the number of boards and rows.
+   * @param {import('./WordleGame').GameMode} newMode - The game mode the player just selected.
+   * @param {HTMLElement} settingsModal - Closed before the reload starts to block a second trigger.
+   */
+  async #switchMode(newMode, settingsModal) {
+    settingsModal.setAttribute('hidden', '');
+
+    if (this.#mode === 'challenge') this.#clearChallenge();
+
+    Storage.setMode(newMode);
+    this.#mode = newMode;
+    this.#resizeGrid(Storage.getWordLength());
+
+    await this.#load(this.#wordLength);
   }
 
   /**
    * @description Wires open/close and all settings toggle interactions. Input is blocked
-   * whenever a modal is open. The word-length picker syncs to the active length on open
-   * because the rebuild flow closes the modal before the fetch finishes.
+   * whenever a modal is open. The word-length, language and mode pickers sync to the active values on open
+   * because the rebuild flow closes the modal before the fetch finishes. The hard-mode toggle
+   * syncs too, since a resumed round brings back the flag it was started with, and the player's own
+   * words, which grow from the alert of a rejected guess. The statistics
+   * are re-rendered on open for the active length and difficulty, and the hint offer for the
+   * running round. Picking a hint closes its modal first, so the revealed letter is announced
+   * over the board. Closing the end-of-round modal, by any means, starts the next round.
    * @param {HTMLElement} helpModal - The help overlay to wire.
    * @param {HTMLElement} settingsModal - The settings overlay to wire.
+   * @param {HTMLElement} statsModal - The statistics overlay to wire.
+   * @param {HTMLElement} resultModal - The end-of-round overlay to wire.
+   * @param {HTMLElement} hintModal - The hint overlay to wire.
    */
-  #setupModals(helpModal, settingsModal) {
+  #setupModals(helpModal, settingsModal, statsModal, resultModal, hintModal) {
     const updateWordLengthUI = () => {
       const picker = settingsModal.querySelector('.word-length-picker');
       if (!picker) return;
@@ -179,22 +497,133 @@ export default class WordleUIController {
       }
     };
 
+    const updateMaxGuessesUI = () => {
+      const picker = settingsModal.querySelector('.max-guesses-picker');
+      if (!picker) return;
+      for (const btn of picker.querySelectorAll('.max-guesses-btn')) {
+        btn.classList.toggle('active', Number((/** @type {HTMLElement} */ (btn)).dataset.guesses) === Storage.getMaxGuesses());
+      }
+    };
+
+    const updateLocaleUI = () => {
+      const picker = settingsModal.querySelector('.locale-picker');
+      if (!picker) return;
+      for (const btn of picker.querySelectorAll('.locale-btn')) {
+        btn.classList.toggle('active', (/** @type {HTMLElement} */ (btn)).dataset.locale === document.documentElement.lang);
+      }
+    };
+
+    const updateKeyboardLayoutUI = () => {
+      const picker = settingsModal.querySelector('.keyboard-layout-picker');
+      if (!picker) return;
+      for (const btn of picker.querySelectorAll('.keyboard-layout-btn')) {
+        btn.classList.toggle('active', (/** @type {HTMLElement} */ (btn)).dataset.layout === Storage.getKeyboardLayout());
+      }
+    };
+
+    const updateInputLayoutUI = () => {
+      const picker = settingsModal.querySelector('.input-layout-picker');
+      if (!picker) return;
+      for (const btn of picker.querySelectorAll('.input-layout-btn')) {
+        btn.classList.toggle('active', (/** @type {HTMLElement} */ (btn)).dataset.layout === this.#inputLayout);
+      }
+    };
+
+    const updateModeUI = () => {
+      const picker = settingsModal.querySelector('.mode-picker');
+      if (!picker) return;
+      for (const btn of picker.querySelectorAll('.mode-btn')) {
+        btn.classList.toggle('active', (/** @type {HTMLElement} */ (btn)).dataset.mode === this.#mode);
+      }
+    };
+
+    const getPersonalWords = () => Config.wordLengthOptions.flatMap(length => Storage.getPersonalWords(length));
+
+    const hardModeToggle = /** @type {HTMLInputElement | null} */ (document.getElementById('hard-mode-toggle'));
+
     const openModal = (/** @type {HTMLElement} */ modal) => {
       this.#toggleEventListeners(false);
-      if (modal === settingsModal) updateWordLengthUI();
+      this.#game?.pauseClock();
+      if (modal === settingsModal) {
+        updateWordLengthUI();
+        updateMaxGuessesUI();
+        updateLocaleUI();
+        updateKeyboardLayoutUI();
+        updateInputLayoutUI();
+        updateModeUI();
+        renderPersonalWords(settingsModal, getPersonalWords());
+        if (hardModeToggle && this.#game) hardModeToggle.checked = this.#game.hardMode;
+      }
+      if (modal === statsModal) {
+        const hardMode = this.#game?.hardMode ?? Storage.getHardMode();
+        renderStatsModal(statsModal, Storage.getStats(this.#wordLength, hardMode), { wordLength: this.#wordLength, hardMode });
+      }
+      if (modal === hintModal && this.#game) renderHintModal(hintModal, this.#game.getHintStatus());
+      if (modal === helpModal) renderHelpModal(helpModal, getBoardLayout(this.#mode).maxGuesses);
       modal.removeAttribute('hidden');
       /** @type {HTMLElement | null} */ (modal.querySelector('.modal'))?.focus();
     };
 
     const closeModal = (/** @type {HTMLElement} */ modal) => {
       modal.setAttribute('hidden', '');
+
+      if (modal === resultModal && this.#mode === 'challenge') {
+        this.#leaveChallenge();
+        return;
+      }
+
       this.#toggleEventListeners(true);
+      this.#game?.resumeClock();
+      if (modal === resultModal) this.#game?.nextRound();
     };
 
+    /** @type {import('./WordleGame').RoundResult | null} */
+    let lastResult = null;
+
+    this.#showResult = (result) => {
+      lastResult = result;
+      renderResultModal(resultModal, result);
+      openModal(resultModal);
+      WordleUIController.#showDefinitions(resultModal, result);
+    };
+
+    resultModal.addEventListener('click', async ({ target }) => {
+      const { id } = /** @type {HTMLElement} */ (target);
+
+      if (id === 'next-round-btn') {
+        closeModal(resultModal);
+      } else if (id === 'analysis-btn' && lastResult) {
+        this.#showAnalysis(resultModal, lastResult);
+      } else if (id === 'share-result-btn' && lastResult) {
+        const status = resultModal.querySelector('.result-status');
+
+        try {
+          const outcome = await shareText(buildShareText(lastResult));
+          if (status && outcome === 'copied') status.textContent = Config.translations.shareCopied;
+        } catch (err) {
+          if (status) status.textContent = Config.translations.shareFailed;
+          console.error('Failed to share result:', err);
+        }
+      }
+    });
+
+    hintModal.addEventListener('click', ({ target }) => {
+      const { id } = /** @type {HTMLElement} */ (target);
+      /** @type {Record<string, import('./WordleEngine').HintType>} */
+      const hintTypes = { 'hint-letter-btn': 'letter', 'hint-absent-btn': 'absent' };
+
+      if (!(id in hintTypes)) return;
+
+      closeModal(hintModal);
+      this.#game?.useHint(hintTypes[id]);
+    });
+
     document.getElementById('help-btn')?.addEventListener('click', () => openModal(helpModal));
     document.getElementById('settings-btn')?.addEventListener('click', () => openModal(settingsModal));
+    document.getElementById('stats-btn')?.addEventListener('click', () => openModal(statsModal));
+    document.getElementById('hint-btn')?.addEventListener('click', () => this.#game && openModal(hintModal));
 
-    for (const modal of [helpModal, settingsModal]) {
+    for (const modal of [helpModal, settingsModal, statsModal, resultModal, hintModal]) {
       modal.querySelector('.modal-close')?.addEventListener('click', () => closeModal(modal));
       modal.addEventListener('pointerdown', e => e.target === modal && closeModal(modal));
     }
@@ -209,7 +638,88 @@ export default class WordleUIController {
       }
     }
 
-    const hardModeToggle = /** @type {HTMLInputElement | null} */ (document.getElementById('hard-mode-toggle'));
+    const maxGuessesPicker = settingsModal.querySelector('.max-guesses-picker');
+    if (maxGuessesPicker) {
+      for (const btn of maxGuessesPicker.querySelectorAll('.max-guesses-btn')) {
+        btn.addEventListener('click', () => {
+          const newMaxGuesses = Number((/** @type {HTMLElement} */ (btn)).dataset.guesses);
+          if (Config.maxGuessesOptions.includes(newMaxGuesses) && newMaxGuesses !== Storage.getMaxGuesses()) {
+            this.#changeMaxGuesses(newMaxGuesses, settingsModal);
+          }
+        });
+      }
+    }
+
+    const localePicker = settingsModal.querySelector('.locale-picker');
+    if (localePicker) {
+      for (const btn of localePicker.querySelectorAll('.locale-btn')) {
+        btn.addEventListener('click', () => {
+          const newLocale = /** @type {import('./utilities').Locale} */ ((/** @type {HTMLElement} */ (btn)).dataset.locale);
+          if (Object.hasOwn(Config.locales, newLocale) && newLocale !== document.documentElement.lang) this.#changeLocale(newLocale, settingsModal);
+        });
+      }
+    }
+
+    const keyboardLayoutPicker = settingsModal.querySelector('.keyboard-layout-picker');
+    if (keyboardLayoutPicker) {
+      for (const btn of keyboardLayoutPicker.querySelectorAll('.keyboard-layout-btn')) {
+        btn.addEventListener('click', () => {
+          const newLayout = /** @type {import('./utilities').KeyboardLayout} */ ((/** @type {HTMLElement} */ (btn)).dataset.layout);
+          if (!Object.hasOwn(Config.keyboardLayouts, newLayout)) return;
+
+          Storage.setKeyboardLayout(newLayout);
+          WordleUIController.#arrangeKeys(this.#gameElements.keyboard, newLayout);
+          updateKeyboardLayoutUI();
+        });
+      }
+    }
+
+    const inputLayoutPicker = settingsModal.querySelector('.input-layout-picker');
+    if (inputLayoutPicker) {
+      for (const btn of inputLayoutPicker.querySelectorAll('.input-layout-btn')) {
+        btn.addEventListener('click', () => {
+          const newLayout = /** @type {import('./utilities').InputLayout} */ ((/** @type {HTMLElement} */ (btn)).dataset.layout);
+          if (!Config.inputLayoutOptions.includes(newLayout)) return;
+
+          this.#inputLayout = newLayout;
+          Storage.setInputLayout(newLayout);
+          updateInputLayoutUI();
+        });
+      }
+    }
+
+    const modePicker = settingsModal.querySelector('.mode-picker');
+    if (modePicker) {
+      for (const btn of modePicker.querySelectorAll('.mode-btn')) {
+        btn.addEventListener('click', () => {
+          const newMode = /** @type {import('./WordleGame').GameMode} */ ((/** @type {HTMLElement} */ (btn)).dataset.mode);
+          if (Config.modeOptions.includes(newMode) && newMode !== this.#mode) this.#switchMode(newMode, settingsModal);
+        });
+      }
+    }
+
+    const challengeInput = /** @type {HTMLInputElement | null} */ (document.getElementById('challenge-input'));
+    const challengeButton = document.getElementById('challenge-create-btn');
+    const challengeStatus = document.getElementById('challenge-status');
+    if (challengeInput && challengeButton && challengeStatus) {
+      challengeButton.addEventListener('click', async () => {
+        challengeStatus.textContent = await this.#createChallengeLink(challengeInput.value);
+      });
+    }
+
+    settingsModal.querySelector('#personal-words-list')?.addEventListener('click', ({ target }) => {
+      const { word } = /** @type {HTMLElement} */ (target).dataset;
+      if (!word) return;
+
+      Storage.setPersonalWords(word.length, Storage.getPersonalWords(word.length).filter(other => other !== word));
+      this.#game?.updatePersonalWords();
+      renderPersonalWords(settingsModal, getPersonalWords());
+    });
+
+    document.getElementById('personal-words-export-btn')?.addEventListener('click', () => {
+      downloadText(`bg-wordle-my-words-${getDayKey()}.txt`, buildWordReport(getPersonalWords()));
+    });
+
     if (hardModeToggle) {
       hardModeToggle.checked = Storage.getHardMode();
 
@@ -218,23 +728,26 @@ export default class WordleUIController {
       });
     }
 
+    const candidatesToggle = /** @type {HTMLInputElement | null} */ (document.getElementById('candidates-toggle'));
+    if (candidatesToggle) {
+      candidatesToggle.checked = Storage.getShowCandidates();
+
+      candidatesToggle.addEventListener('change', () => {
+        if (this.#game) {
+          this.#game.setShowCandidates(candidatesToggle.checked);
+        } else {
+          Storage.setShowCandidates(candidatesToggle.checked);
+        }
+      });
+    }
+
     const swapButtonsToggle = /** @type {HTMLInputElement | null} */ (document.getElementById('swap-buttons-toggle'));
     if (swapButtonsToggle) {
       swapButtonsToggle.checked = Storage.getSwapButtons();
 
       swapButtonsToggle.addEventListener('change', () => {
         Storage.setSwapButtons(swapButtonsToggle.checked);
-
-        const keyboard = document.getElementById('keyboard');
-        const enterBtn = keyboard?.querySelector('[data-key="Enter"]');
-        const deleteBtn = keyboard?.querySelector('[data-key="Delete"]');
-
-        if (enterBtn && deleteBtn) {
-          const placeholder = document.createComment('');
-          enterBtn.replaceWith(placeholder);
-          deleteBtn.replaceWith(enterBtn);
-          placeholder.replaceWith(deleteBtn);
-        }
+        WordleUIController.#arrangeKeys(this.#gameElements.keyboard, Storage.getKeyboardLayout());
       });
     }
 
@@ -245,14 +758,6 @@ export default class WordleUIController {
       darkThemeToggle.checked = theme === 'dark'
         || (!theme && window.matchMedia('(prefers-color-scheme: dark)').matches);
 
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', ({ matches }) => {
-        if (Storage.hasThemePreference()) return;
-
-        document.documentElement.dataset.theme = matches ? 'dark' : 'light';
-        darkThemeToggle.checked = matches;
-        WordleUIController.#updateThemeColor();
-      });
-
       darkThemeToggle.addEventListener('change', () => {
         const isLight = !darkThemeToggle.checked;
         const theme = isLight ? 'light' : 'dark';
@@ -277,22 +782,78 @@ export default class WordleUIController {
     }
   }
 
+  /**
+   * @description Builds one empty board of tiles per board of the mode, and sets the CSS
+   * variables that size the tiles and arrange the boards.
+   * @param {number} wordLength - Tiles per row.
+   * @param {import('./WordleGame').GameMode} mode - Decides the number of boards and rows.
+   * @returns {Array<HTMLElement>} The `.board` elements, in board order.
+   */
+  static #createBoards(wordLength, mode) {
+    const { boards, gridRows, columns, rows } = getBoardLayout(mode);
+    const { style } = document.documentElement;
+
+    style.setProperty('--word-length', String(wordLength));
+    style.setProperty('--max-guesses', String(gridRows));
+    style.setProperty('--board-columns', String(columns));
+    style.setProperty('--board-rows', String(rows));
+
+    return createArray(boards, () => createElement('div', {
+      attributes: { class: 'board' },
+      children: createArray(gridRows * wordLength, () => createElement('div', { attributes: { class: 'tile' } })),
+    }));
+  }
+
+  /**
+   * @description Lays the on-screen keyboard out in the rows of a layout, with Enter and Delete
+   * swapped if the setting is on. Buttons already on the keyboard are moved rather than recreated,
+   * so the colours a round has given them survive a switch, and the game keeps working with them;
+   * only missing buttons are created. Rows narrower than the widest one are centred.
+   * @param {HTMLElement} keyboard - The `#keyboard` element to fill.
+   * @param {import('./utilities').KeyboardLayout} layout - The layout to arrange the keys in.
+   */
+  static #arrangeKeys(keyboard, layout) {
+    const { keyboardLayouts, translations } = Config;
+    const swap = Storage.getSwapButtons();
+
+    const rows = keyboardLayouts[layout].map(row => swap
+      ? row.map(key => key === 'Enter' ? 'Delete' : key === 'Delete' ? 'Enter' : key)
+      : row);
+
+    // Letter keys span two grid columns, Enter and Delete three - see `.key` in keyboard.css.
+    const widths = rows.map(row => row.reduce((width, key) => width + (key === 'Enter' || key === 'Delete' ? 3 : 2), 0));
+    const columns = Math.max(...widths);
+    keyboard.style.setProperty('--keyboard-columns', String(columns));
+
+    /** @type {Array<HTMLElement>} */
+    const existing = Array.from(keyboard.querySelectorAll('.key'));
+    const buttons = new Map(existing.map(button => [button.dataset.key, button]));
+
+    keyboard.replaceChildren(...rows.flatMap((row, index) => row.map((key, position) => {
+      const isDelete = key === 'Delete';
+      const button = buttons.get(key) ?? createElement('button', {
+        attributes: {
+          class: 'key',
+          'data-key': key,
+          ...(isDelete && { 'aria-label': translations.deleteAriaLabel }),
+        },
+        ...(isDelete ? { children: [createDeleteKeySVG(key)] } : { textContent: key }),
+      });
+
+      button.style.gridColumnStart = position === 0 ? String(Math.floor((columns - widths[index]) / 2) + 1) : '';
+      return button;
+    })));
+  }
+
   /**
    * @description Called statically so the DOM can be built before the instance exists.
-   * Sets two CSS variables that drive the grid layout.
+   * Sets the CSS variables that drive the grid layout.
    * @param {number} wordLength - Controls the initial grid dimensions.
+   * @param {import('./WordleGame').GameMode} mode - Controls the number of boards and rows.
    * @returns {InterfaceElements} Named references to every persistent DOM element.
    */
-  static createInterface(wordLength) {
-    const { maxGuesses, keys, translations } = Config;
-    const gridLength = maxGuesses * wordLength;
-
-    document.documentElement.style.setProperty('--word-length', String(wordLength));
-    document.documentElement.style.setProperty('--max-guesses', String(maxGuesses));
-
-    const swappedKeys = Storage.getSwapButtons()
-      ? keys.map(k => k === 'Enter' ? 'Delete' : k === 'Delete' ? 'Enter' : k)
-      : keys;
+  static createInterface(wordLength, mode) {
+    const { translations } = Config;
 
     createElement('header', {
       parent: document.body,
@@ -303,9 +864,22 @@ export default class WordleUIController {
           children: [createHelpIconSVG()],
         }),
         createElement('h1', { attributes: { id: 'title' }, textContent: translations.title }),
-        createElement('button', {
-          attributes: { id: 'settings-btn', class: 'icon-btn', 'aria-label': translations.settingsAriaLabel },
-          children: [createSettingsIconSVG()],
+        createElement('div', {
+          attributes: { class: 'header-actions' },
+          children: [
+            createElement('button', {
+              attributes: { id: 'hint-btn', class: 'icon-btn', 'aria-label': translations.hintAriaLabel },
+              children: [createHintIconSVG()],
+            }),
+            createElement('button', {
+              attributes: { id: 'stats-btn', class: 'icon-btn', 'aria-label': translations.statsAriaLabel },
+              children: [createStatsIconSVG()],
+            }),
+            createElement('button', {
+              attributes: { id: 'settings-btn', class: 'icon-btn', 'aria-label': translations.settingsAriaLabel },
+              children: [createSettingsIconSVG()],
+            }),
+          ],
         }),
       ],
     });
@@ -327,13 +901,29 @@ export default class WordleUIController {
           attributes: { id: 'highscore' },
           textContent: translations.highscore,
         }),
+        createElement('span', {
+          attributes: { id: 'countdown', hidden: '' },
+          textContent: translations.countdown,
+        }),
+        createElement('span', {
+          attributes: { id: 'timer', hidden: '' },
+        }),
       ]
     });
 
+    const candidates = createElement('details', {
+      parent: main,
+      attributes: { id: 'candidates', hidden: '' },
+      children: [
+        createElement('summary', { textContent: translations.candidatesCount.replace('{{count}}', '') }),
+        createElement('ul', { attributes: { class: 'candidates-list' } }),
+      ],
+    });
+
     const grid = createElement('div', {
       parent: main,
       attributes: { id: 'guess-grid' },
-      children: createArray(gridLength, () => createElement('div', { attributes: { class: 'tile' } }))
+      children: WordleUIController.#createBoards(wordLength, mode),
     });
 
     const keyboard = createElement('div', {
@@ -341,18 +931,7 @@ export default class WordleUIController {
       attributes: { id: 'keyboard' },
     });
 
-    for (const key of swappedKeys) {
-      const isDelete = key === 'Delete';
-      createElement('button', {
-        parent: keyboard,
-        attributes: {
-          class: 'key',
-          'data-key': key,
-          ...(isDelete && { 'aria-label': translations.deleteAriaLabel }),
-        },
-        ...(isDelete ? { children: [createDeleteKeySVG(key)] } : { textContent: key }),
-      });
-    }
+    WordleUIController.#arrangeKeys(keyboard, Storage.getKeyboardLayout());
 
     const notification = createElement('div', {
       parent: main,
@@ -365,6 +944,15 @@ export default class WordleUIController {
     const settingsModal = createSettingsModal();
     document.body.append(settingsModal);
 
-    return { scoreboard, grid, keyboard, notification, helpModal, settingsModal };
+    const statsModal = createStatsModal();
+    document.body.append(statsModal);
+
+    const resultModal = createResultModal();
+    document.body.append(resultModal);
+
+    const hintModal = createHintModal();
+    document.body.append(hintModal);
+
+    return { scoreboard, candidates, grid, keyboard, notification, helpModal, settingsModal, statsModal, resultModal, hintModal };
   }
 }
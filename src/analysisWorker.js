@@ -0,0 +1,15 @@
+/**
+ * Web Worker entry for the post-game analysis. Imports the analysis module directly rather than
+ * through `./utilities`, so storage and DOM helpers stay out of the worker bundle.
+ */
+import { analyzeRound } from './utilities/analysis';
+
+self.addEventListener('message', (/** @type {MessageEvent<import('./utilities/analysis').AnalysisMessage>} */ { data }) => {
+  const { id, request } = data;
+
+  try {
+    self.postMessage({ id, rows: analyzeRound(request) });
+  } catch (err) {
+    self.postMessage({ id, error: err instanceof Error ? err.message : String(err) });
+  }
+});
@@ -1,3 +1,12 @@
 import Wordle from './WordleUIController';
+import { loadLocale, Storage } from './utilities';
 
-window.addEventListener('DOMContentLoaded', () => new Wordle());
+window.addEventListener('DOMContentLoaded', async () => {
+  try {
+    await loadLocale(Storage.getLocale());
+  } catch (err) {
+    console.error('Failed to load locale:', err);
+  }
+
+  new Wordle();
+});
@@ -1,3 +1,5 @@
+import bg from './locales/bg.js';
+
 export default {
   /** Fallback when no word-length preference has been persisted. */
   defaultWordLength: 5,
@@ -8,82 +10,154 @@ export default {
    */
   wordLengthOptions: [3, 4, 5, 6, 7],
 
+  /** Fallback when no game-mode preference has been persisted. */
+  defaultMode: 'unlimited',
+
+  /**
+   * Game modes offered by the settings picker, in display order.
+   * `'unlimited'` draws a random word every round; `'daily'` serves one shared word per calendar day;
+   * `'dordle'` and `'quordle'` play every guess against two or four random words at once;
+   * `'absurdle'` has no fixed word - it dodges every guess until a single candidate is left;
+   * `'timeattack'` solves as many words as possible against the clock, `'speedrun'` times a single round.
+   * `'challenge'` is never listed here - it is entered only through a challenge link.
+   * @type {Array<import('./WordleGame').GameMode>}
+   */
+  modeOptions: ['unlimited', 'daily', 'dordle', 'quordle', 'absurdle', 'timeattack', 'speedrun'],
+
   /**
-   * Base URL for dictionary JSON files.
-   * Resolves per word length as `${dictionaryPath}/{wordLength}.json`.
+   * Boards played at once and guesses allowed in the multi-board modes.
+   * Every other mode plays a single board with `maxGuesses`.
+   * @type {Partial<Record<import('./WordleGame').GameMode, { boards: number, maxGuesses: number }>>}
    */
-  dictionaryPath: `${import.meta.env.BASE_URL}dictionary`,
+  multiBoard: {
+    dordle: { boards: 2, maxGuesses: 7 },
+    quordle: { boards: 4, maxGuesses: 9 },
+  },
+
+  /** Query parameter that carries the encoded word of a challenge link. */
+  challengeParam: 'challenge',
 
   /**
-   * Maximum number of guesses allowed per round.
+   * Base URL for dictionary files.
+   * Resolves per word length as `${dictionaryPath}/{wordLength}.txt` (every accepted guess)
+   * and `${dictionaryPath}/{wordLength}.answers.txt` (the curated pool targets are drawn from),
+   * both in the compact form of `encodeWordList`;
+   * `${dictionaryPath}/versions.json` holds a content hash per length that keys the dictionary cache.
+   * `import.meta.env` only exists under Vite; the generator scripts run in plain Node and get the root base.
+   */
+  dictionaryPath: `${import.meta.env?.BASE_URL ?? '/'}dictionary`,
+
+  /**
+   * Fallback when no guess-count preference has been persisted: the number of guesses allowed per
+   * round on a single board; the multi-board modes use their own.
    * Controls grid height and feeds the scoring formula:
    * a correct guess on attempt N earns `maxGuesses − N + 1` points.
    */
   maxGuesses: 6,
 
+  /** Guesses-per-round choices offered by the settings picker. */
+  maxGuessesOptions: [4, 5, 6, 7, 8, 9, 10],
+
+  /** Fallback when no physical-keyboard preference has been persisted. */
+  defaultInputLayout: 'phonetic',
+
   /**
-   * On-screen keyboard layout in DOM render order (left-to-right, row by row).
+   * Ways of reading a Latin physical keyboard offered by the settings picker, in display order.
+   * `'phonetic'` matches the default on-screen keyboard below, `'bds'` the Bulgarian typewriter layout;
+   * `'off'` accepts only letters typed with a Cyrillic system layout.
+   * @type {Array<import('./utilities/keyboard').InputLayout>}
+   */
+  inputLayoutOptions: ['phonetic', 'bds', 'off'],
+
+  /** Fallback when no on-screen keyboard preference has been persisted. */
+  defaultKeyboardLayout: 'phonetic',
+
+  /**
+   * On-screen keyboard layouts offered by the settings picker, in display order, each as rows of keys
+   * rendered left-to-right. Every layout must hold the same 30 letters plus `'Delete'` and `'Enter'`, so
+   * the buttons can be rearranged mid-round without losing their colours.
    * `'Delete'` renders as an SVG icon; `'Enter'` renders as plain text.
    * When the swap-buttons setting is active, the two exchange positions -
    * both at initial render and whenever the setting is toggled.
+   * @type {Record<import('./utilities/keyboard').KeyboardLayout, Array<Array<string>>>}
    */
-  keys: [
-    'Я', 'В', 'Е', 'Р', 'Т', 'Ъ', 'У', 'И', 'О', 'П', 'Ч',
-    'А', 'С', 'Д', 'Ф', 'Г', 'Х', 'Й', 'К', 'Л', 'Ш', 'Щ',
-    'Delete', 'Ю', 'З', 'Ь', 'Ц', 'Ж', 'Б', 'Н', 'М', 'Enter'
-  ],
+  keyboardLayouts: {
+    phonetic: [
+      ['Я', 'В', 'Е', 'Р', 'Т', 'Ъ', 'У', 'И', 'О', 'П', 'Ч'],
+      ['А', 'С', 'Д', 'Ф', 'Г', 'Х', 'Й', 'К', 'Л', 'Ш', 'Щ'],
+      ['Delete', 'Ю', 'З', 'Ь', 'Ц', 'Ж', 'Б', 'Н', 'М', 'Enter'],
+    ],
+    bds: [
+      ['У', 'Е', 'И', 'Ш', 'Щ', 'К', 'С', 'Д', 'З', 'Ц'],
+      ['Ь', 'Я', 'А', 'О', 'Ж', 'Г', 'Т', 'Н', 'В', 'М', 'Ч'],
+      ['Delete', 'Ю', 'Й', 'Ъ', 'Ф', 'Х', 'П', 'Р', 'Л', 'Б', 'Enter'],
+    ],
+    alphabetical: [
+      ['А', 'Б', 'В', 'Г', 'Д', 'Е', 'Ж', 'З', 'И', 'Й', 'К'],
+      ['Л', 'М', 'Н', 'О', 'П', 'Р', 'С', 'Т', 'У', 'Ф', 'Х'],
+      ['Delete', 'Ц', 'Ч', 'Ш', 'Щ', 'Ъ', 'Ь', 'Ю', 'Я', 'Enter'],
+    ],
+  },
+
+  /** Fallback when no language preference has been persisted; its pack is bundled, the others load on demand. */
+  defaultLocale: 'bg',
 
   /**
-   * All user-facing strings, so no hardcoded text lives in component or game code.
-   * Values that include runtime data use `{{placeholder}}` tokens swapped in before display.
-   * Example letter arrays for the help modal are destructured directly into the template.
+   * Interface languages offered by the settings picker, in display order, each named in its own language.
+   * Every key needs a matching pack in `src/locales`. Only the interface changes - the words stay Bulgarian.
+   * @type {Record<import('./utilities/locale').Locale, string>}
    */
-  translations: {
-    // Alerts
-    win: 'Браво. Ти спечели {{reward}} точки! Смело напред.',
-    lose: 'Уфф. Твоята дума беше "{{word}}". Загуби {{penalty}} точка!',
-    loading: 'Играта се зарежда...',
-    loadingError: 'Речникът не можа да се зареди. Натиснете тук, за да опитате отново.',
-    notEnoughLetters: 'Няма достатъчно букви!',
-    noSuchWord: 'Не съществува такава дума!',
-    hardModeCorrectSpot: 'Позиция {{position}} трябва да е "{{letter}}"!',
-    hardModeWrongSpot: 'Думата трябва да съдържа "{{letter}}"!',
-    // Scoreboard
-    score: 'Резултат: ',
-    highscore: 'Най-добър резултат: ',
-    // Header
-    title: 'BG Wordle',
-    helpAriaLabel: 'Как се играе',
-    settingsAriaLabel: 'Настройки',
-    deleteAriaLabel: 'Изтрий буква',
-    // Shared modal
-    modalClose: 'Затвори',
-    // Help modal
-    helpTitle: 'Как се играе',
-    helpRule1: 'Познайте думата за <strong>6 опита</strong>.',
-    helpRule2: 'Всеки опит трябва да е <strong>валидна българска дума от 5 букви</strong>, която съществува в речника.',
-    helpRule3: 'Цветът на плочките се променя след всеки опит, за да покаже <strong>колко сте близо</strong> до търсената дума.',
-    helpExamplesHeading: 'Примери',
-    helpExample1Letters: ['К', 'О', 'Т', 'К', 'А'],
-    helpExample1Desc: '<strong>К</strong> е в думата и на <strong>правилното място</strong>.',
-    helpExample2Letters: ['Б', 'А', 'Н', 'А', 'Н'],
-    helpExample2Desc: '<strong>А</strong> е в думата, но на <strong>грешно място</strong>.',
-    helpExample3Letters: ['Ц', 'В', 'Е', 'Т', 'Е'],
-    helpExample3Desc: '<strong>Т</strong> не е в думата <strong>на нито едно място</strong>.',
-    helpFooter: 'Нова дума се избира след всяка завършена игра. Играйте колкото искате!',
-    // Settings modal
-    settingsTitle: 'Настройки',
-    hardModeTitle: 'Труден режим',
-    hardModeDesc: 'Всички разкрити подсказки трябва да се използват в следващите опити',
-    darkThemeTitle: 'Тъмна тема',
-    swapButtonsTitle: 'Смяна на бутоните',
-    swapButtonsDesc: 'Разменя местата на \'Enter\' и \'Изтрий\'',
-    wordLengthTitle: 'Дължина на думата',
+  locales: {
+    bg: 'Български',
+    en: 'English',
   },
 
+  /**
+   * All user-facing strings of the active locale, so no hardcoded text lives in component or game code.
+   * Swapped for another pack by `loadLocale`, so read it at the time of use rather than caching it.
+   * @type {import('./locales/bg').Translations}
+   */
+  translations: bg,
+
   score: {
     /** Deducted from score on a loss. Only applied when the current score is positive, so the displayed score never goes below zero. */
     penalty: 1,
+    /** Deducted for a hint that reveals a correct letter in its position. */
+    letterHintCost: 2,
+    /** Deducted for a hint that rules a letter out of the word. */
+    absentHintCost: 1,
+    /**
+     * Hints allowed per round, of either type. Hints cost points only in unlimited mode, since the other
+     * modes are not scored, and a hint is refused when the current score cannot cover its cost.
+     */
+    hintsPerRound: 2,
+  },
+
+  candidates: {
+    /** The candidates panel lists the words themselves only at or below this count; above it, just the count is shown. */
+    listThreshold: 30,
+  },
+
+  analysis: {
+    /**
+     * Most guess-against-candidate comparisons the post-game analysis spends on finding the best guess for one row.
+     * Larger searches (early rows on long-word dictionaries) use an even sample of the dictionary instead and are marked approximate.
+     */
+    searchBudget: 4_000_000,
+  },
+
+  timed: {
+    /** Milliseconds a time-attack run lasts. */
+    attackDuration: 180_000,
+    /** Milliseconds between refreshes of the on-screen timer. */
+    tickInterval: 100,
+  },
+
+  daily: {
+    /** IANA time zone whose midnight switches every player to the next daily word at the same moment. */
+    timeZone: 'Europe/Sofia',
+    /** Milliseconds between refreshes of the next-word countdown. */
+    countdownInterval: 1000,
   },
 
   delays: {
@@ -0,0 +1,170 @@
+/**
+ * Bulgarian strings - the default locale and the reference every other pack must match key for key.
+ * Values that include runtime data use `{{placeholder}}` tokens swapped in before display.
+ * Example letter arrays for the help modal are destructured directly into the template.
+ */
+const translations = {
+  // Alerts
+  win: 'Браво. Ти спечели {{reward}} точки! Смело напред.',
+  lose: 'Уфф. Твоята дума беше "{{word}}". Загуби {{penalty}} точка!',
+  loading: 'Играта се зарежда...',
+  loadingError: 'Речникът не можа да се зареди. Натиснете тук, за да опитате отново.',
+  offlineError: 'Няма интернет. Речникът ще се зареди, щом връзката се върне.',
+  updateAvailable: 'Има нова версия. Натиснете тук, за да презаредите.',
+  localeError: 'Езикът не можа да се зареди.',
+  notEnoughLetters: 'Няма достатъчно букви!',
+  noSuchWord: 'Не съществува такава дума!',
+  foreignLetter: 'Буквата "{{letter}}" не е от българската азбука!',
+  hardModeCorrectSpot: 'Позиция {{position}} трябва да е "{{letter}}"!',
+  hardModeWrongSpot: 'Думата трябва да съдържа "{{letter}}"!',
+  dailyWin: 'Браво. Позна думата на деня от {{guesses}}. опит!',
+  dailyLose: 'Уфф. Думата на деня беше "{{word}}".',
+  dailyPlayed: 'Вече игра думата на деня. Ела пак утре!',
+  challengeStarted: 'Приятел те предизвиква с дума от {{length}} букви!',
+  challengeInvalid: 'Линкът за предизвикателство е невалиден!',
+  challengeWin: 'Браво. Позна думата на приятеля си от {{guesses}}. опит!',
+  challengeLose: 'Уфф. Думата на приятеля ти беше "{{word}}".',
+  multiWin: 'Браво. Позна всички думи за {{guesses}} опита!',
+  multiLose: 'Уфф. Думите бяха: {{words}}.',
+  absurdleWin: 'Браво. Хвана думата "{{word}}" от {{guesses}} опита!',
+  timeAttackHit: 'Позна! Следваща дума.',
+  timeAttackMiss: 'Думата беше "{{word}}". Следваща!',
+  timeUp: 'Времето изтече! Реши {{count}} думи.',
+  speedRunWin: 'Браво. Позна думата за {{time}}!',
+  speedRunLose: 'Уфф. Думата беше "{{word}}".',
+  hintRevealedLetter: 'Позиция {{position}} е "{{letter}}".',
+  hintRevealedAbsent: 'Буквата "{{letter}}" не е в думата.',
+  hintNone: 'Няма какво повече да се разкрие!',
+  hintNoPoints: 'Нямаш достатъчно точки за тази подсказка!',
+  hintsUsed: ' Използвани подсказки: {{count}}.',
+  personalWordOffer: 'Не съществува такава дума! Натиснете тук, за да я добавите в моите думи.',
+  personalWordAdded: 'Думата "{{word}}" е добавена в моите думи.',
+  // Candidates panel
+  candidatesCount: 'Възможни думи: {{count}}',
+  candidatesTooMany: 'Списъкът се показва при {{max}} или по-малко думи.',
+  // Scoreboard
+  score: 'Резултат: ',
+  highscore: 'Най-добър резултат: ',
+  countdown: 'Следваща дума след: ',
+  absurdleGuesses: 'Опити: ',
+  absurdleBest: 'Най-малко опити: ',
+  timeLeft: 'Остава: ',
+  timeElapsed: 'Време: ',
+  timeAttackSolved: 'Решени: ',
+  timeAttackBest: 'Рекорд: ',
+  speedRunBest: 'Най-добро време: ',
+  // Header
+  title: 'BG Wordle',
+  helpAriaLabel: 'Как се играе',
+  settingsAriaLabel: 'Настройки',
+  statsAriaLabel: 'Статистика',
+  hintAriaLabel: 'Подсказка',
+  deleteAriaLabel: 'Изтрий буква',
+  // Shared modal
+  modalClose: 'Затвори',
+  // Help modal
+  helpTitle: 'Как се играе',
+  helpRule1: 'Познайте думата за <strong>{{max}} опита</strong>.',
+  helpRule1Unlimited: 'Познайте думата с <strong>неограничен брой опити</strong>.',
+  helpRule2: 'Всеки опит трябва да е <strong>валидна българска дума от 5 букви</strong>, която съществува в речника.',
+  helpRule3: 'Цветът на плочките се променя след всеки опит, за да покаже <strong>колко сте близо</strong> до търсената дума.',
+  helpExamplesHeading: 'Примери',
+  helpExample1Letters: ['К', 'О', 'Т', 'К', 'А'],
+  helpExample1Desc: '<strong>К</strong> е в думата и на <strong>правилното място</strong>.',
+  helpExample2Letters: ['Б', 'А', 'Н', 'А', 'Н'],
+  helpExample2Desc: '<strong>А</strong> е в думата, но на <strong>грешно място</strong>.',
+  helpExample3Letters: ['Ц', 'В', 'Е', 'Т', 'Е'],
+  helpExample3Desc: '<strong>Т</strong> не е в думата <strong>на нито едно място</strong>.',
+  helpFooter: 'Нова дума се избира след всяка завършена игра. Играйте колкото искате!',
+  // Settings modal
+  settingsTitle: 'Настройки',
+  hardModeTitle: 'Труден режим',
+  hardModeDesc: 'Всички разкрити подсказки трябва да се използват в следващите опити',
+  darkThemeTitle: 'Тъмна тема',
+  candidatesTitle: 'Брояч на възможните думи',
+  candidatesDesc: 'Показва колко думи все още пасват. Рундовете с него се отбелязват като с помощ',
+  swapButtonsTitle: 'Смяна на бутоните',
+  swapButtonsDesc: 'Разменя местата на \'Enter\' и \'Изтрий\'',
+  keyboardLayoutTitle: 'Екранна клавиатура',
+  keyboardLayoutPhonetic: 'Фонетична',
+  keyboardLayoutBds: 'БДС',
+  keyboardLayoutAlphabetical: 'Азбучна',
+  inputLayoutTitle: 'Физическа клавиатура',
+  inputLayoutDesc: 'Как се разчитат латинските клавиши, ако системната клавиатура не е на български',
+  inputLayoutPhonetic: 'Фонетична',
+  inputLayoutBds: 'БДС',
+  inputLayoutOff: 'Изключена',
+  wordLengthTitle: 'Дължина на думата',
+  maxGuessesTitle: 'Брой опити',
+  localeTitle: 'Език',
+  modeTitle: 'Режим на игра',
+  modeUnlimited: 'Неограничен',
+  modeDaily: 'Дума на деня',
+  modeChallenge: 'Предизвикателство',
+  modeDordle: 'Две думи',
+  modeQuordle: 'Четири думи',
+  modeAbsurdle: 'Хитра дума',
+  modeTimeAttack: 'Срещу часовника',
+  modeSpeedRun: 'На скорост',
+  challengeTitle: 'Предизвикай приятел',
+  challengeDesc: 'Въведи дума и изпрати линка на приятел',
+  challengeCreate: 'Създай',
+  challengeCopied: 'Линкът е копиран!',
+  challengeLength: 'Думата трябва да е от {{min}} до {{max}} букви!',
+  personalWordsTitle: 'Моите думи',
+  personalWordsDesc: 'Думи, които липсват в речника, но се приемат като опит. Изпрати ни файла, за да ги добавим.',
+  personalWordsEmpty: 'Все още няма добавени думи.',
+  personalWordsRemove: 'Премахни "{{word}}"',
+  personalWordsExport: 'Изтегли',
+  // Stats modal
+  statsTitle: 'Статистика',
+  statsScope: '{{length}} букви',
+  statsScopeHard: '{{length}} букви, труден режим',
+  statsPlayed: 'Изиграни',
+  statsWinRate: '% Победи',
+  statsCurrentStreak: 'Текуща серия',
+  statsMaxStreak: 'Най-дълга серия',
+  statsDistribution: 'Разпределение на опитите',
+  statsAssisted: 'Изиграни с брояча на възможните думи: {{count}}',
+  statsHinted: 'Изиграни с подсказка: {{count}}',
+  // Hint modal
+  hintTitle: 'Подсказка',
+  hintLetter: 'Разкрий буква',
+  hintAbsent: 'Премахни буква',
+  hintCost: '−{{cost}} т.',
+  hintRemaining: 'Оставащи подсказки: {{count}}',
+  // Result modal
+  resultWinTitle: 'Браво!',
+  resultLoseTitle: 'Уфф!',
+  resultWord: 'Думата беше',
+  resultWords: 'Думите бяха',
+  resultShare: 'Сподели',
+  resultNext: 'Нова дума',
+  resultExitChallenge: 'Към играта',
+  resultTime: 'Време: {{time}}',
+  resultSolved: 'Решени думи: {{count}}',
+  definitionTitle: 'Какво означава?',
+  definitionLemma: 'форма на „{{lemma}}“',
+  shareHeader: '{{title}} – {{mode}} – {{length}} букви – {{result}}/{{max}}{{hard}}',
+  shareTime: ' – ⏱ {{time}}',
+  shareHints: ' – 💡 {{count}}',
+  shareTimeAttack: '{{title}} – {{mode}} – {{length}} букви – {{count}} думи за {{time}}',
+  shareCopied: 'Резултатът е копиран!',
+  shareFailed: 'Резултатът не можа да бъде споделен.',
+  analysisShow: 'Анализ на опитите',
+  analysisLoading: 'Анализът се изчислява...',
+  analysisFailed: 'Анализът не можа да бъде изчислен.',
+  analysisGuess: 'Опит',
+  analysisCandidates: 'Възможни думи',
+  analysisEntropy: 'Информация',
+  analysisBest: 'Най-добър опит',
+  analysisBits: '{{bits}} бита',
+  analysisApproximate: '≈ Търсено в извадка от речника.',
+};
+
+/**
+ * @typedef {typeof translations} Translations
+ * Every user-facing string of one locale, keyed as in the Bulgarian pack.
+ */
+
+export default translations;
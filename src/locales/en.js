@@ -0,0 +1,163 @@
+/**
+ * English interface for players who guess Bulgarian words without reading Bulgarian.
+ * The help examples keep their Bulgarian letters, since those are the words the game accepts.
+ * @type {import('./bg').Translations}
+ */
+export default {
+  // Alerts
+  win: 'Well done. You earned {{reward}} points! Keep going.',
+  lose: 'Oops. Your word was "{{word}}". You lost {{penalty}} point!',
+  loading: 'Loading the game...',
+  loadingError: 'The dictionary could not be loaded. Tap here to try again.',
+  offlineError: 'You are offline. The dictionary will load once you reconnect.',
+  updateAvailable: 'A new version is available. Tap here to reload.',
+  localeError: 'The language could not be loaded.',
+  notEnoughLetters: 'Not enough letters!',
+  noSuchWord: 'No such word!',
+  foreignLetter: 'The letter "{{letter}}" is not in the Bulgarian alphabet!',
+  hardModeCorrectSpot: 'Position {{position}} must be "{{letter}}"!',
+  hardModeWrongSpot: 'The word must contain "{{letter}}"!',
+  dailyWin: 'Well done. You got the word of the day on guess {{guesses}}!',
+  dailyLose: 'Oops. The word of the day was "{{word}}".',
+  dailyPlayed: 'You already played the word of the day. Come back tomorrow!',
+  challengeStarted: 'A friend challenges you with a {{length}}-letter word!',
+  challengeInvalid: 'The challenge link is invalid!',
+  challengeWin: 'Well done. You got your friend\'s word on guess {{guesses}}!',
+  challengeLose: 'Oops. Your friend\'s word was "{{word}}".',
+  multiWin: 'Well done. You got every word in {{guesses}} guesses!',
+  multiLose: 'Oops. The words were: {{words}}.',
+  absurdleWin: 'Well done. You cornered the word "{{word}}" in {{guesses}} guesses!',
+  timeAttackHit: 'Got it! Next word.',
+  timeAttackMiss: 'The word was "{{word}}". Next!',
+  timeUp: 'Time\'s up! You solved {{count}} words.',
+  speedRunWin: 'Well done. You got the word in {{time}}!',
+  speedRunLose: 'Oops. The word was "{{word}}".',
+  hintRevealedLetter: 'Position {{position}} is "{{letter}}".',
+  hintRevealedAbsent: 'The letter "{{letter}}" is not in the word.',
+  hintNone: 'There is nothing left to reveal!',
+  hintNoPoints: 'You do not have enough points for this hint!',
+  hintsUsed: ' Hints used: {{count}}.',
+  personalWordOffer: 'No such word! Tap here to add it to my words.',
+  personalWordAdded: '"{{word}}" was added to my words.',
+  // Candidates panel
+  candidatesCount: 'Possible words: {{count}}',
+  candidatesTooMany: 'The list is shown at {{max}} words or fewer.',
+  // Scoreboard
+  score: 'Score: ',
+  highscore: 'High score: ',
+  countdown: 'Next word in: ',
+  absurdleGuesses: 'Guesses: ',
+  absurdleBest: 'Fewest guesses: ',
+  timeLeft: 'Time left: ',
+  timeElapsed: 'Time: ',
+  timeAttackSolved: 'Solved: ',
+  timeAttackBest: 'Record: ',
+  speedRunBest: 'Best time: ',
+  // Header
+  title: 'BG Wordle',
+  helpAriaLabel: 'How to play',
+  settingsAriaLabel: 'Settings',
+  statsAriaLabel: 'Statistics',
+  hintAriaLabel: 'Hint',
+  deleteAriaLabel: 'Delete letter',
+  // Shared modal
+  modalClose: 'Close',
+  // Help modal
+  helpTitle: 'How to play',
+  helpRule1: 'Guess the word in <strong>{{max}} tries</strong>.',
+  helpRule1Unlimited: 'Guess the word in <strong>as many tries as you need</strong>.',
+  helpRule2: 'Each guess must be a <strong>valid 5-letter Bulgarian word</strong> found in the dictionary.',
+  helpRule3: 'After each guess, the colour of the tiles changes to show <strong>how close you are</strong> to the word.',
+  helpExamplesHeading: 'Examples',
+  helpExample1Letters: ['К', 'О', 'Т', 'К', 'А'],
+  helpExample1Desc: '<strong>К</strong> is in the word and in the <strong>correct spot</strong>.',
+  helpExample2Letters: ['Б', 'А', 'Н', 'А', 'Н'],
+  helpExample2Desc: '<strong>А</strong> is in the word but in the <strong>wrong spot</strong>.',
+  helpExample3Letters: ['Ц', 'В', 'Е', 'Т', 'Е'],
+  helpExample3Desc: '<strong>Т</strong> is not in the word <strong>in any spot</strong>.',
+  helpFooter: 'A new word is picked after every finished game. Play as much as you like!',
+  // Settings modal
+  settingsTitle: 'Settings',
+  hardModeTitle: 'Hard mode',
+  hardModeDesc: 'Any revealed hints must be used in subsequent guesses',
+  darkThemeTitle: 'Dark theme',
+  candidatesTitle: 'Possible words counter',
+  candidatesDesc: 'Shows how many words still fit. Rounds played with it are marked as assisted',
+  swapButtonsTitle: 'Swap buttons',
+  swapButtonsDesc: 'Swaps the places of \'Enter\' and \'Delete\'',
+  keyboardLayoutTitle: 'On-screen keyboard',
+  keyboardLayoutPhonetic: 'Phonetic',
+  keyboardLayoutBds: 'BDS',
+  keyboardLayoutAlphabetical: 'Alphabetical',
+  inputLayoutTitle: 'Physical keyboard',
+  inputLayoutDesc: 'How Latin keys are read when your system keyboard is not set to Bulgarian',
+  inputLayoutPhonetic: 'Phonetic',
+  inputLayoutBds: 'BDS',
+  inputLayoutOff: 'Off',
+  wordLengthTitle: 'Word length',
+  maxGuessesTitle: 'Number of guesses',
+  localeTitle: 'Language',
+  modeTitle: 'Game mode',
+  modeUnlimited: 'Unlimited',
+  modeDaily: 'Word of the day',
+  modeChallenge: 'Challenge',
+  modeDordle: 'Two words',
+  modeQuordle: 'Four words',
+  modeAbsurdle: 'Tricky word',
+  modeTimeAttack: 'Time attack',
+  modeSpeedRun: 'Speed run',
+  challengeTitle: 'Challenge a friend',
+  challengeDesc: 'Enter a word and send the link to a friend',
+  challengeCreate: 'Create',
+  challengeCopied: 'Link copied!',
+  challengeLength: 'The word must be {{min}} to {{max}} letters long!',
+  personalWordsTitle: 'My words',
+  personalWordsDesc: 'Words missing from the dictionary that are accepted as guesses. Send us the file to get them added.',
+  personalWordsEmpty: 'No words added yet.',
+  personalWordsRemove: 'Remove "{{word}}"',
+  personalWordsExport: 'Export',
+  // Stats modal
+  statsTitle: 'Statistics',
+  statsScope: '{{length}} letters',
+  statsScopeHard: '{{length}} letters, hard mode',
+  statsPlayed: 'Played',
+  statsWinRate: 'Win %',
+  statsCurrentStreak: 'Current streak',
+  statsMaxStreak: 'Max streak',
+  statsDistribution: 'Guess distribution',
+  statsAssisted: 'Played with the possible words counter: {{count}}',
+  statsHinted: 'Played with a hint: {{count}}',
+  // Hint modal
+  hintTitle: 'Hint',
+  hintLetter: 'Reveal a letter',
+  hintAbsent: 'Rule out a letter',
+  hintCost: '−{{cost}} pts',
+  hintRemaining: 'Hints left: {{count}}',
+  // Result modal
+  resultWinTitle: 'Well done!',
+  resultLoseTitle: 'Oops!',
+  resultWord: 'The word was',
+  resultWords: 'The words were',
+  resultShare: 'Share',
+  resultNext: 'New word',
+  resultExitChallenge: 'Back to the game',
+  resultTime: 'Time: {{time}}',
+  resultSolved: 'Words solved: {{count}}',
+  definitionTitle: 'What does it mean?',
+  definitionLemma: 'a form of "{{lemma}}"',
+  shareHeader: '{{title}} – {{mode}} – {{length}} letters – {{result}}/{{max}}{{hard}}',
+  shareTime: ' – ⏱ {{time}}',
+  shareHints: ' – 💡 {{count}}',
+  shareTimeAttack: '{{title}} – {{mode}} – {{length}} letters – {{count}} words in {{time}}',
+  shareCopied: 'Result copied!',
+  shareFailed: 'The result could not be shared.',
+  analysisShow: 'Guess analysis',
+  analysisLoading: 'Calculating the analysis...',
+  analysisFailed: 'The analysis could not be calculated.',
+  analysisGuess: 'Guess',
+  analysisCandidates: 'Possible words',
+  analysisEntropy: 'Information',
+  analysisBest: 'Best guess',
+  analysisBits: '{{bits}} bits',
+  analysisApproximate: '≈ Searched in a sample of the dictionary.',
+};
@@ -0,0 +1,79 @@
+/// <reference lib="webworker" />
+/**
+ * Service worker that keeps the installed app playable offline. Not bundled: the `service-worker`
+ * plugin in `vite.config.js` copies it to `sw.js` after each build and swaps the manifest placeholder
+ * below for the deployment's file list and version. It is not served in development.
+ */
+
+/**
+ * @typedef {object} PrecacheManifest
+ * What one deployment stores for offline use.
+ * @property {string} version - Hash of every precached file; names the cache, so each deployment gets its own.
+ * @property {string} shell - URL of the page itself, served for every navigation while offline.
+ * @property {string} dictionaryPath - URL prefix of the dictionary files.
+ * @property {Array<string>} urls - Every file to precache: the page, scripts, styles, icons and word lists.
+ */
+
+const manifest = /** @type {PrecacheManifest} */ (/** @type {unknown} */ ('__PRECACHE_MANIFEST__'));
+
+/**
+ * Shared by the caches of every deployment, so old ones can be told apart from other caches on the origin.
+ */
+const CACHE_PREFIX = 'bg-wordle-';
+
+const cacheName = `${CACHE_PREFIX}${manifest.version}`;
+
+const worker = /** @type {ServiceWorkerGlobalScope} */ (/** @type {unknown} */ (self));
+
+/**
+ * @description Answers a request from the cache of this deployment, then from the network. Dictionary
+ * files that were not precached, such as definitions, are added to the cache once fetched. While
+ * offline, navigations fall back to the cached page, and dictionary files this deployment does not
+ * have get a 404 - the same answer the server would give, so optional files fall back as they do online.
+ * @param {Request} request - A same-origin GET request.
+ * @returns {Promise<Response>} The cached or fetched response.
+ */
+async function respond(request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+
+  const isDictionary = new URL(request.url).pathname.startsWith(manifest.dictionaryPath);
+
+  try {
+    const response = await fetch(request);
+    if (isDictionary && response.ok) await cache.put(request, response.clone());
+
+    return response;
+  } catch (err) {
+    const shell = request.mode === 'navigate' ? await cache.match(manifest.shell) : undefined;
+    if (shell) return shell;
+
+    if (isDictionary) return new Response(null, { status: 404 });
+
+    throw err;
+  }
+}
+
+worker.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(cacheName).then(cache => cache.addAll(manifest.urls)));
+});
+
+worker.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith(CACHE_PREFIX) && name !== cacheName).map(name => caches.delete(name)));
+    await worker.clients.claim();
+  })());
+});
+
+worker.addEventListener('message', ({ data }) => {
+  if (data?.type === 'skip-waiting') worker.skipWaiting();
+});
+
+worker.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== location.origin) return;
+
+  event.respondWith(respond(request));
+});
@@ -41,7 +41,7 @@ export function createHelpModal() {
   const [e3a, e3b, e3c, e3d, e3e] = t.helpExample3Letters;
 
   body.innerHTML = /* html */ `
-    <p>${t.helpRule1}</p>
+    <p class="help-guesses">${t.helpRule1.replace('{{max}}', String(Config.maxGuesses))}</p>
     <ul>
       <li>${t.helpRule2}</li>
       <li>${t.helpRule3}</li>
@@ -84,3 +84,15 @@ export function createHelpModal() {
 
   return modal;
 }
+
+/**
+ * @description Updates the help text to the number of guesses allowed in the current mode.
+ * @param {HTMLElement} modal - The overlay returned by `createHelpModal`.
+ * @param {number} maxGuesses - Guesses allowed per round; `Infinity` in modes without a limit.
+ */
+export function renderHelpModal(modal, maxGuesses) {
+  const { translations: t } = Config;
+
+  const rule = modal.querySelector('.help-guesses');
+  if (rule) rule.innerHTML = Number.isFinite(maxGuesses) ? t.helpRule1.replace('{{max}}', String(maxGuesses)) : t.helpRule1Unlimited;
+}
@@ -0,0 +1,69 @@
+import { createElement } from '../utilities';
+import Config from '../config';
+
+/**
+ * @description Returns the hint overlay detached and hidden, with an empty body; the caller
+ * appends it, wires the open/close interactions, and fills it through `renderHintModal` on every open.
+ * @returns {HTMLElement} The modal overlay element.
+ */
+export function createHintModal() {
+  const { translations: t } = Config;
+
+  const modal = createElement('div', {
+    attributes: { id: 'hint-modal', class: 'modal-overlay', hidden: '' },
+  });
+
+  const inner = createElement('div', {
+    parent: modal,
+    attributes: {
+      class: 'modal',
+      tabindex: '-1',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': t.hintTitle,
+    },
+    children: [
+      createElement('div', {
+        attributes: { class: 'modal-header' },
+        children: [
+          createElement('h2', { textContent: t.hintTitle }),
+          createElement('button', { attributes: { class: 'modal-close', 'aria-label': t.modalClose }, textContent: '✕' }),
+        ],
+      }),
+    ],
+  });
+
+  createElement('div', { parent: inner, attributes: { class: 'modal-body' } });
+
+  return modal;
+}
+
+/**
+ * @description Replaces the hint modal body with the current offer. A button is disabled when no
+ * hints are left or the score cannot cover its cost; costs are only shown when they are not zero.
+ * Element IDs are the shared contract with the caller's event wiring. Only numbers and
+ * `Config.translations` reach `innerHTML`, so there is no XSS risk.
+ * @param {HTMLElement} modal - The overlay returned by `createHintModal`.
+ * @param {import('../WordleGame').HintStatus} status - What the running round can offer.
+ */
+export function renderHintModal(modal, { remaining, costs, affordable }) {
+  const { translations: t } = Config;
+
+  const body = modal.querySelector('.modal-body');
+  if (!body) return;
+
+  const label = (/** @type {string} */ text, /** @type {number} */ cost) => (
+    cost > 0 ? `${text} (${t.hintCost.replace('{{cost}}', String(cost))})` : text
+  );
+
+  const isShort = remaining > 0 && (!affordable.letter || !affordable.absent);
+
+  body.innerHTML = /* html */ `
+    <p class="hint-remaining">${t.hintRemaining.replace('{{count}}', String(remaining))}</p>
+    <div class="hint-actions">
+      <button id="hint-letter-btn" class="setting-btn" ${remaining > 0 && affordable.letter ? '' : 'disabled'}>${label(t.hintLetter, costs.letter)}</button>
+      <button id="hint-absent-btn" class="setting-btn" ${remaining > 0 && affordable.absent ? '' : 'disabled'}>${label(t.hintAbsent, costs.absent)}</button>
+    </div>
+    ${isShort ? `<p class="setting-status">${t.hintNoPoints}</p>` : ''}
+  `;
+}
@@ -1,3 +1,6 @@
 export * from './svgs';
 export * from './helpModal';
 export * from './settingsModal';
+export * from './statsModal';
+export * from './resultModal';
+export * from './hintModal';
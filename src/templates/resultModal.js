@@ -0,0 +1,161 @@
+import { createElement, formatDuration, isNil } from '../utilities';
+import Config from '../config';
+
+/**
+ * @description Returns the end-of-round overlay detached and hidden, with an empty body; the caller
+ * appends it, wires the open/close interactions, and fills it through `renderResultModal` when a round ends.
+ * @returns {HTMLElement} The modal overlay element.
+ */
+export function createResultModal() {
+  const { translations: t } = Config;
+
+  const modal = createElement('div', {
+    attributes: { id: 'result-modal', class: 'modal-overlay', hidden: '' },
+  });
+
+  const inner = createElement('div', {
+    parent: modal,
+    attributes: {
+      class: 'modal',
+      tabindex: '-1',
+      role: 'dialog',
+      'aria-modal': 'true',
+    },
+    children: [
+      createElement('div', {
+        attributes: { class: 'modal-header' },
+        children: [
+          createElement('h2'),
+          createElement('button', { attributes: { class: 'modal-close', 'aria-label': t.modalClose }, textContent: '✕' }),
+        ],
+      }),
+    ],
+  });
+
+  createElement('div', { parent: inner, attributes: { class: 'modal-body' } });
+
+  return modal;
+}
+
+/**
+ * @description Replaces the end-of-round modal content for a finished round. Element IDs are the
+ * shared contract with the caller's event wiring. The target word is set through `textContent`,
+ * so only `Config.translations` reaches `innerHTML`.
+ * @param {HTMLElement} modal - The overlay returned by `createResultModal`.
+ * @param {import('../WordleGame').RoundResult} result - The round that just finished.
+ */
+export function renderResultModal(modal, result) {
+  const { translations: t } = Config;
+
+  const title = result.won ? t.resultWinTitle : t.resultLoseTitle;
+  const nextLabels = {
+    unlimited: t.resultNext,
+    daily: t.modalClose,
+    challenge: t.resultExitChallenge,
+    dordle: t.resultNext,
+    quordle: t.resultNext,
+    absurdle: t.resultNext,
+    timeattack: t.resultNext,
+    speedrun: t.resultNext,
+  };
+  modal.querySelector('.modal-header h2')?.replaceChildren(title);
+  modal.querySelector('.modal')?.setAttribute('aria-label', title);
+
+  const body = modal.querySelector('.modal-body');
+  if (!body) return;
+
+  const analysis = result.boards.length === 1 && result.guesses.length > 0
+    ? /* html */ `
+      <button id="analysis-btn" class="setting-btn">${t.analysisShow}</button>
+      <div class="result-analysis" aria-live="polite"></div>
+    `
+    : '';
+
+  body.innerHTML = /* html */ `
+    <p class="result-summary"></p>
+    <p class="result-word">${result.boards.length > 1 ? t.resultWords : t.resultWord} <strong></strong></p>
+    ${isNil(result.solved) ? '' : `<p class="result-time">${t.resultSolved.replace('{{count}}', String(result.solved))}</p>`}
+    ${isNil(result.elapsedMs) ? '' : `<p class="result-time">${t.resultTime.replace('{{time}}', formatDuration(result.elapsedMs))}</p>`}
+    ${result.hintsUsed > 0 ? `<p class="result-hints">${t.hintsUsed.replace('{{count}}', String(result.hintsUsed)).trim()}</p>` : ''}
+    <div class="result-actions">
+      <button id="share-result-btn" class="setting-btn">${t.resultShare}</button>
+      <button id="next-round-btn" class="setting-btn">${nextLabels[result.mode]}</button>
+    </div>
+    <section class="result-definitions" aria-live="polite" hidden>
+      <h3>${t.definitionTitle}</h3>
+      <dl></dl>
+    </section>
+    <p class="result-status" aria-live="polite"></p>
+    ${analysis}
+  `;
+
+  body.querySelector('.result-summary')?.replaceChildren(result.summary);
+  body.querySelector('.result-word strong')?.replaceChildren(result.boards.map(({ targetWord }) => targetWord).join(', '));
+}
+
+/**
+ * @description Fills the "what does it mean" section of the end-of-round modal and reveals it;
+ * it stays hidden when no word has a definition. Words and definitions are set through `textContent`.
+ * @param {HTMLElement} modal - The overlay returned by `createResultModal`, already rendered for the round.
+ * @param {Array<{ word: string } & import('../utilities').Definition>} entries - The defined target words, in board order.
+ */
+export function renderResultDefinitions(modal, entries) {
+  const { translations: t } = Config;
+
+  const section = /** @type {HTMLElement | null} */ (modal.querySelector('.result-definitions'));
+  const list = section?.querySelector('dl');
+  if (!section || !list || entries.length === 0) return;
+
+  list.replaceChildren(...entries.flatMap(({ word, lemma, definition }) => [
+    createElement('dt', {
+      children: isNil(lemma) ? [word] : [word, createElement('span', { textContent: ` – ${t.definitionLemma.replace('{{lemma}}', lemma)}` })],
+    }),
+    createElement('dd', { textContent: definition }),
+  ]));
+
+  section.hidden = false;
+}
+
+/**
+ * @description Fills the analysis section of the end-of-round modal with one table row per guess:
+ * the candidates before and after it, its expected information, and the best guess at that point.
+ * A best guess found in a sample of the dictionary is marked with `≈` and explained below the table.
+ * Words are set through `textContent`.
+ * @param {HTMLElement} modal - The overlay returned by `createResultModal`, already rendered for the round.
+ * @param {Array<import('../utilities').GuessAnalysis>} analysis - The graded guesses, in order.
+ */
+export function renderResultAnalysis(modal, analysis) {
+  const { translations: t } = Config;
+
+  const container = modal.querySelector('.result-analysis');
+  if (!container) return;
+
+  const bits = (/** @type {number} */ value) => t.analysisBits.replace('{{bits}}', value.toFixed(2));
+  const cell = (/** @type {'th' | 'td'} */ tag, /** @type {string} */ text) => createElement(tag, { textContent: text });
+
+  const table = createElement('table', {
+    children: [
+      createElement('thead', {
+        children: [createElement('tr', {
+          children: [t.analysisGuess, t.analysisCandidates, t.analysisEntropy, t.analysisBest].map(text => cell('th', text)),
+        })],
+      }),
+      createElement('tbody', {
+        children: analysis.map(row => createElement('tr', {
+          children: [
+            cell('td', row.guess),
+            cell('td', `${row.candidatesBefore} → ${row.candidatesAfter}`),
+            cell('td', bits(row.entropy)),
+            cell('td', `${row.approximate ? '≈ ' : ''}${row.bestGuess} (${bits(row.bestEntropy)})`),
+          ],
+        })),
+      }),
+    ],
+  });
+
+  container.replaceChildren(table);
+
+  if (analysis.some(row => row.approximate)) {
+    createElement('p', { parent: container, attributes: { class: 'result-analysis-note' }, textContent: t.analysisApproximate });
+  }
+}
@@ -1,4 +1,4 @@
-import { createElement } from '../utilities';
+import { createElement, isNil } from '../utilities';
 import Config from '../config';
 
 /**
@@ -35,13 +35,53 @@ export function createSettingsModal() {
   });
 
   const body = createElement('div', { parent: inner, attributes: { class: 'modal-body' } });
+  const modeLabels = {
+    unlimited: t.modeUnlimited,
+    daily: t.modeDaily,
+    challenge: t.modeChallenge,
+    dordle: t.modeDordle,
+    quordle: t.modeQuordle,
+    absurdle: t.modeAbsurdle,
+    timeattack: t.modeTimeAttack,
+    speedrun: t.modeSpeedRun,
+  };
+  const keyboardLayouts = /** @type {Array<import('../utilities').KeyboardLayout>} */ (Object.keys(Config.keyboardLayouts));
+  const keyboardLayoutLabels = {
+    phonetic: t.keyboardLayoutPhonetic,
+    bds: t.keyboardLayoutBds,
+    alphabetical: t.keyboardLayoutAlphabetical,
+  };
+  const inputLayoutLabels = {
+    phonetic: t.inputLayoutPhonetic,
+    bds: t.inputLayoutBds,
+    off: t.inputLayoutOff,
+  };
+
   body.innerHTML = /* html */ `
+    <div class="setting-row setting-row--column">
+      <strong class="setting-label">${t.localeTitle}</strong>
+      <div class="locale-picker">
+        ${Object.entries(Config.locales).map(([locale, name]) => `<button class="locale-btn" data-locale="${locale}" lang="${locale}">${name}</button>`).join('')}
+      </div>
+    </div>
+    <div class="setting-row setting-row--column">
+      <strong class="setting-label">${t.modeTitle}</strong>
+      <div class="mode-picker">
+        ${Config.modeOptions.map(mode => `<button class="mode-btn" data-mode="${mode}">${modeLabels[mode]}</button>`).join('')}
+      </div>
+    </div>
     <div class="setting-row setting-row--column">
       <strong class="setting-label">${t.wordLengthTitle}</strong>
       <div class="word-length-picker">
         ${Config.wordLengthOptions.map(n => `<button class="word-length-btn" data-length="${n}">${n}</button>`).join('')}
       </div>
     </div>
+    <div class="setting-row setting-row--column">
+      <strong class="setting-label">${t.maxGuessesTitle}</strong>
+      <div class="max-guesses-picker">
+        ${Config.maxGuessesOptions.map(n => `<button class="max-guesses-btn" data-guesses="${n}">${n}</button>`).join('')}
+      </div>
+    </div>
     <div class="setting-row">
       <div class="setting-label">
         <strong>${t.hardModeTitle}</strong>
@@ -52,6 +92,16 @@ export function createSettingsModal() {
         <span class="toggle-track"><span class="toggle-thumb"></span></span>
       </label>
     </div>
+    <div class="setting-row">
+      <div class="setting-label">
+        <strong>${t.candidatesTitle}</strong>
+        <span>${t.candidatesDesc}</span>
+      </div>
+      <label class="toggle">
+        <input type="checkbox" id="candidates-toggle">
+        <span class="toggle-track"><span class="toggle-thumb"></span></span>
+      </label>
+    </div>
     <div class="setting-row">
       <div class="setting-label">
         <strong>${t.swapButtonsTitle}</strong>
@@ -62,6 +112,21 @@ export function createSettingsModal() {
         <span class="toggle-track"><span class="toggle-thumb"></span></span>
       </label>
     </div>
+    <div class="setting-row setting-row--column">
+      <strong class="setting-label">${t.keyboardLayoutTitle}</strong>
+      <div class="keyboard-layout-picker">
+        ${keyboardLayouts.map(layout => `<button class="keyboard-layout-btn" data-layout="${layout}">${keyboardLayoutLabels[layout]}</button>`).join('')}
+      </div>
+    </div>
+    <div class="setting-row setting-row--column">
+      <div class="setting-label">
+        <strong>${t.inputLayoutTitle}</strong>
+        <span>${t.inputLayoutDesc}</span>
+      </div>
+      <div class="input-layout-picker">
+        ${Config.inputLayoutOptions.map(layout => `<button class="input-layout-btn" data-layout="${layout}">${inputLayoutLabels[layout]}</button>`).join('')}
+      </div>
+    </div>
     <div class="setting-row">
       <div class="setting-label">
         <strong>${t.darkThemeTitle}</strong>
@@ -71,7 +136,56 @@ export function createSettingsModal() {
         <span class="toggle-track"><span class="toggle-thumb"></span></span>
       </label>
     </div>
+    <div class="setting-row setting-row--column">
+      <div class="setting-label">
+        <strong>${t.challengeTitle}</strong>
+        <span>${t.challengeDesc}</span>
+      </div>
+      <div class="challenge-form">
+        <input type="text" id="challenge-input" autocomplete="off" spellcheck="false" lang="bg">
+        <button id="challenge-create-btn" class="setting-btn">${t.challengeCreate}</button>
+      </div>
+      <span id="challenge-status" class="setting-status" aria-live="polite"></span>
+    </div>
+    <div class="setting-row setting-row--column">
+      <div class="setting-label">
+        <strong>${t.personalWordsTitle}</strong>
+        <span>${t.personalWordsDesc}</span>
+      </div>
+      <ul id="personal-words-list" class="personal-words"></ul>
+      <button id="personal-words-export-btn" class="setting-btn">${t.personalWordsExport}</button>
+    </div>
   `;
 
   return modal;
 }
+
+/**
+ * @description Fills the "my words" section of the settings modal with one row per word and a
+ * remove button carrying the word in `data-word`. Export is disabled while the list is empty.
+ * Words are set through `textContent`.
+ * @param {HTMLElement} modal - The overlay returned by `createSettingsModal`.
+ * @param {Array<string>} words - The player's own words of every length, in display order.
+ */
+export function renderPersonalWords(modal, words) {
+  const { translations: t } = Config;
+
+  const list = modal.querySelector('#personal-words-list');
+  const exportButton = /** @type {HTMLButtonElement | null} */ (modal.querySelector('#personal-words-export-btn'));
+  if (isNil(list) || isNil(exportButton)) return;
+
+  const items = words.map(word => createElement('li', {
+    children: [
+      createElement('span', { textContent: word }),
+      createElement('button', {
+        attributes: { class: 'personal-word-remove', 'data-word': word, 'aria-label': t.personalWordsRemove.replace('{{word}}', word) },
+        textContent: '✕',
+      }),
+    ],
+  }));
+
+  list.replaceChildren(...(items.length > 0
+    ? items
+    : [createElement('li', { attributes: { class: 'personal-words-empty' }, textContent: t.personalWordsEmpty })]));
+  exportButton.disabled = words.length === 0;
+}
@@ -0,0 +1,82 @@
+import { createElement } from '../utilities';
+import Config from '../config';
+
+/**
+ * @description Returns the statistics overlay detached and hidden, with an empty body; the caller
+ * appends it, wires the open/close interactions, and fills it through `renderStatsModal` on every open.
+ * @returns {HTMLElement} The modal overlay element.
+ */
+export function createStatsModal() {
+  const { translations: t } = Config;
+
+  const modal = createElement('div', {
+    attributes: { id: 'stats-modal', class: 'modal-overlay', hidden: '' },
+  });
+
+  const inner = createElement('div', {
+    parent: modal,
+    attributes: {
+      class: 'modal',
+      tabindex: '-1',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': t.statsTitle,
+    },
+    children: [
+      createElement('div', {
+        attributes: { class: 'modal-header' },
+        children: [
+          createElement('h2', { textContent: t.statsTitle }),
+          createElement('button', { attributes: { class: 'modal-close', 'aria-label': t.modalClose }, textContent: '✕' }),
+        ],
+      }),
+    ],
+  });
+
+  createElement('div', { parent: inner, attributes: { class: 'modal-body' } });
+
+  return modal;
+}
+
+/**
+ * @description Replaces the statistics modal body with the given numbers. Bars are scaled
+ * against the most frequent guess count, and the row matching `stats.lastWin` is highlighted.
+ * Only numbers and `Config.translations` reach `innerHTML`, so there is no XSS risk.
+ * @param {HTMLElement} modal - The overlay returned by `createStatsModal`.
+ * @param {import('../utilities').GameStats} stats - The statistics to display.
+ * @param {object} scope - Which statistics bucket is shown, for the subtitle.
+ * @param {number} scope.wordLength - Word length the statistics belong to.
+ * @param {boolean} scope.hardMode - Whether the statistics belong to hard mode.
+ */
+export function renderStatsModal(modal, stats, { wordLength, hardMode }) {
+  const { translations: t } = Config;
+
+  const body = modal.querySelector('.modal-body');
+  if (!body) return;
+
+  const winRate = stats.played > 0 ? Math.round((stats.won / stats.played) * 100) : 0;
+  const maxCount = Math.max(1, ...stats.distribution);
+  const scope = (hardMode ? t.statsScopeHard : t.statsScope).replace('{{length}}', String(wordLength));
+
+  body.innerHTML = /* html */ `
+    <p class="stats-scope">${scope}</p>
+    <div class="stats-summary">
+      <div class="stats-item"><strong>${stats.played}</strong><span>${t.statsPlayed}</span></div>
+      <div class="stats-item"><strong>${winRate}</strong><span>${t.statsWinRate}</span></div>
+      <div class="stats-item"><strong>${stats.currentStreak}</strong><span>${t.statsCurrentStreak}</span></div>
+      <div class="stats-item"><strong>${stats.maxStreak}</strong><span>${t.statsMaxStreak}</span></div>
+    </div>
+    <hr>
+    <p><strong>${t.statsDistribution}</strong></p>
+    <div class="distribution">
+      ${stats.distribution.map((count, index) => `
+        <div class="distribution-row${stats.lastWin === index + 1 ? ' highlight' : ''}">
+          <span>${index + 1}</span>
+          <div class="distribution-bar" style="width: ${Math.max(8, (count / maxCount) * 100)}%">${count}</div>
+        </div>
+      `).join('')}
+    </div>
+    ${stats.assisted > 0 ? `<p class="stats-assisted">${t.statsAssisted.replace('{{count}}', String(stats.assisted))}</p>` : ''}
+    ${stats.hinted > 0 ? `<p class="stats-assisted">${t.statsHinted.replace('{{count}}', String(stats.hinted))}</p>` : ''}
+  `;
+}
@@ -33,6 +33,42 @@ export function createSettingsIconSVG() {
   return svg;
 }
 
+/**
+ * @description Inline SVG that inherits text color from its parent, so it automatically adapts to the active theme.
+ * @returns {SVGElement} A bar-chart icon ready to be appended.
+ */
+export function createStatsIconSVG() {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('viewBox', '0 0 24 24');
+  svg.setAttribute('fill', 'none');
+  svg.setAttribute('stroke', 'currentColor');
+  svg.setAttribute('stroke-width', '2');
+  svg.setAttribute('stroke-linecap', 'round');
+  svg.setAttribute('stroke-linejoin', 'round');
+  svg.innerHTML = '<line x1="18" y1="20" x2="18" y2="10"/>'
+    + '<line x1="12" y1="20" x2="12" y2="4"/>'
+    + '<line x1="6" y1="20" x2="6" y2="14"/>';
+  return svg;
+}
+
+/**
+ * @description Inline SVG that inherits text color from its parent, so it automatically adapts to the active theme.
+ * @returns {SVGElement} A light-bulb icon ready to be appended.
+ */
+export function createHintIconSVG() {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  svg.setAttribute('viewBox', '0 0 24 24');
+  svg.setAttribute('fill', 'none');
+  svg.setAttribute('stroke', 'currentColor');
+  svg.setAttribute('stroke-width', '2');
+  svg.setAttribute('stroke-linecap', 'round');
+  svg.setAttribute('stroke-linejoin', 'round');
+  svg.innerHTML = '<path d="M9 18h6"/>'
+    + '<path d="M10 22h4"/>'
+    + '<path d="M12 2a7 7 0 0 0-4 12.74V16h8v-1.26A7 7 0 0 0 12 2z"/>';
+  return svg;
+}
+
 /**
  * @description Stamps `data-key` on both the root element and the inner path so event
  * delegation picks up the correct key regardless of which child the pointer actually hits.
@@ -0,0 +1,251 @@
+import Config from '../config';
+
+/**
+ * @typedef {object} AnalysisRequest
+ * A finished round and the word lists to grade it against. Plain data, so it can be posted to a worker.
+ * @property {Array<string>} guesses - Submitted words, in order.
+ * @property {Array<Array<import('../WordleEngine').LettersState>>} rows - Evaluated states per guess, in order.
+ * @property {Array<string>} pool - Words the target could have been; candidates are counted in this list.
+ * @property {Array<string>} allowed - Every accepted guess; searched for the best guess.
+ */
+/**
+ * @typedef {object} GuessAnalysis
+ * How one guess performed, next to the best guess available at that point.
+ * @property {string} guess - The submitted word.
+ * @property {number} candidatesBefore - Words that still matched before this guess.
+ * @property {number} candidatesAfter - Words that still matched after its feedback.
+ * @property {number} entropy - Expected information of the guess over `candidatesBefore`, in bits.
+ * @property {string} bestGuess - The accepted word with the highest expected information at that point.
+ * @property {number} bestEntropy - Expected information of `bestGuess`, in bits.
+ * @property {boolean} approximate - Whether `bestGuess` was picked from a sample of the dictionary
+ * because the full search would exceed `Config.analysis.searchBudget`.
+ */
+/**
+ * @typedef {{ id: number, request: AnalysisRequest }} AnalysisMessage
+ * @typedef {{ id: number, rows: Array<GuessAnalysis> } | { id: number, error: string }} AnalysisReply
+ */
+
+/**
+ * Numeric value of each state in a pattern code.
+ * @type {Record<import('../WordleEngine').LettersState, number>}
+ */
+const STATE_VALUES = Object.freeze({ 'missing-spot': 0, 'wrong-spot': 1, 'correct-spot': 2 });
+
+/**
+ * Per-letter scratch space for `getPatternCode`, reused so the hot loop does not allocate.
+ */
+const scratch = new Uint8Array(16);
+
+/**
+ * @description Same two-pass evaluation as `WordleEngine.evaluate`, packed into one base-3 number
+ * instead of an array of states, so millions of comparisons stay cheap enough for the best-guess search.
+ * @param {string} guess - The guessed word.
+ * @param {string} target - The word to compare against; same length as `guess`.
+ * @returns {number} The pattern, with the state of letter `i` as base-3 digit `i`.
+ */
+function getPatternCode(guess, target) {
+  const length = guess.length;
+  let consumed = 0;
+
+  for (let i = 0; i < length; i++) {
+    if (guess.charCodeAt(i) === target.charCodeAt(i)) {
+      scratch[i] = 2;
+      consumed |= 1 << i;
+    } else {
+      scratch[i] = 0;
+    }
+  }
+
+  for (let i = 0; i < length; i++) {
+    if (scratch[i] === 2) continue;
+
+    const letter = guess.charCodeAt(i);
+
+    for (let j = 0; j < length; j++) {
+      if (!(consumed & (1 << j)) && target.charCodeAt(j) === letter) {
+        scratch[i] = 1;
+        consumed |= 1 << j;
+        break;
+      }
+    }
+  }
+
+  let code = 0;
+  for (let i = length - 1; i >= 0; i--) code = code * 3 + scratch[i];
+
+  return code;
+}
+
+/**
+ * @description Packs a row of evaluated states the same way `getPatternCode` does.
+ * @param {Array<import('../WordleEngine').LettersState>} states - One state per letter.
+ * @returns {number} The pattern code.
+ */
+function toPatternCode(states) {
+  return states.reduceRight((code, state) => code * 3 + STATE_VALUES[state], 0);
+}
+
+/**
+ * @description Expected information of a guess: the Shannon entropy of how its feedback patterns
+ * split the candidates. A guess that leaves every candidate in its own pattern scores `log2(n)`;
+ * one that gives the same feedback for all of them scores `0`.
+ * @param {string} guess - The word to score.
+ * @param {Array<string>} candidates - Words that could still be the target.
+ * @param {Int32Array} counts - Zeroed buffer with one slot per possible pattern; left zeroed on return.
+ * @returns {number} The entropy in bits.
+ */
+function getEntropy(guess, candidates, counts) {
+  /** @type {Array<number>} */
+  const seen = [];
+
+  for (const candidate of candidates) {
+    const code = getPatternCode(guess, candidate);
+    if (counts[code]++ === 0) seen.push(code);
+  }
+
+  let entropy = 0;
+
+  for (const code of seen) {
+    const p = counts[code] / candidates.length;
+    entropy -= p * Math.log2(p);
+    counts[code] = 0;
+  }
+
+  return entropy;
+}
+
+/**
+ * @description Picks every n-th word so that at most `limit` remain, spread evenly across the list.
+ * @param {Array<string>} words - The list to thin out.
+ * @param {number} limit - The most words to keep.
+ * @returns {Array<string>} The sample; the list itself when it is short enough.
+ */
+function sampleEvenly(words, limit) {
+  if (words.length <= limit) return words;
+
+  const stride = words.length / limit;
+  return Array.from({ length: limit }, (_, index) => words[Math.floor(index * stride)]);
+}
+
+/**
+ * @description Searches for the guess with the highest expected information. Candidates are tried
+ * first, so among equally informative guesses one that could also win is preferred. When the full
+ * search would cost more than `searchBudget` comparisons, an even sample of the candidates and the
+ * dictionary is searched instead.
+ * @param {Array<string>} candidates - Words that could still be the target.
+ * @param {Array<string>} allowed - Every accepted guess.
+ * @param {Int32Array} counts - Zeroed pattern buffer, passed through to `getEntropy`.
+ * @returns {{ word: string, entropy: number, approximate: boolean }} The best guess found.
+ */
+function findBestGuess(candidates, allowed, counts) {
+  const limit = Math.max(1, Math.floor(Config.analysis.searchBudget / Math.max(1, candidates.length)));
+  const approximate = candidates.length + allowed.length > limit;
+
+  const options = approximate
+    ? new Set([...sampleEvenly(candidates, Math.ceil(limit / 2)), ...sampleEvenly(allowed, Math.floor(limit / 2))])
+    : new Set([...candidates, ...allowed]);
+
+  let best = { word: candidates[0] ?? '', entropy: -1, approximate };
+
+  for (const word of options) {
+    const entropy = getEntropy(word, candidates, counts);
+    if (entropy > best.entropy + 1e-9) best = { word, entropy, approximate };
+  }
+
+  return { ...best, entropy: Math.max(0, best.entropy) };
+}
+
+/**
+ * @description Grades every guess of a finished round the way a solver would: how many words
+ * still matched before and after it, how much information it was expected to give, and which
+ * guess would have given the most. Hints are not taken into account, only the submitted rows.
+ * Heavy for long words - run it through `requestAnalysis` so the page stays responsive.
+ * @param {AnalysisRequest} request - The round to grade.
+ * @returns {Array<GuessAnalysis>} One entry per guess, in order.
+ */
+export function analyzeRound({ guesses, rows, pool, allowed }) {
+  const wordLength = guesses[0]?.length ?? 0;
+  const counts = new Int32Array(3 ** wordLength);
+
+  let candidates = pool.filter(word => word.length === wordLength);
+
+  return guesses.map((guess, row) => {
+    const best = findBestGuess(candidates, allowed, counts);
+    const entropy = getEntropy(guess, candidates, counts);
+
+    const code = toPatternCode(rows[row]);
+    const before = candidates.length;
+    candidates = candidates.filter(word => getPatternCode(guess, word) === code);
+
+    return {
+      guess,
+      candidatesBefore: before,
+      candidatesAfter: candidates.length,
+      entropy,
+      bestGuess: best.word,
+      bestEntropy: best.entropy,
+      approximate: best.approximate,
+    };
+  });
+}
+
+/**
+ * Lazily started worker shared by every analysis request.
+ * @type {Worker | null}
+ */
+let worker = null;
+
+/**
+ * Sequence number that pairs each reply from the worker with its request.
+ */
+let nextRequestId = 0;
+
+/**
+ * @description Runs `analyzeRound` in a Web Worker, so grading 6- and 7-letter rounds against the full
+ * dictionary does not freeze the page. Falls back to the main thread where workers are unavailable.
+ * @param {AnalysisRequest} request - The round to grade.
+ * @returns {Promise<Array<GuessAnalysis>>} One entry per guess, in order.
+ * @throws {Error} When the worker fails to compute the analysis, cannot be loaded or sends a reply that cannot be read.
+ */
+export function requestAnalysis(request) {
+  if (typeof Worker === 'undefined') return Promise.resolve(analyzeRound(request));
+
+  worker ??= new Worker(new URL('../analysisWorker.js', import.meta.url), { type: 'module' });
+
+  const activeWorker = worker;
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    const cleanUp = () => {
+      activeWorker.removeEventListener('message', onMessage);
+      activeWorker.removeEventListener('error', onError);
+      activeWorker.removeEventListener('messageerror', onError);
+    };
+
+    const onMessage = (/** @type {MessageEvent<AnalysisReply>} */ { data }) => {
+      if (data.id !== id) return;
+
+      cleanUp();
+
+      if ('error' in data) reject(new Error(data.error));
+      else resolve(data.rows);
+    };
+
+    // A worker that failed to load or crashed answers nothing more, so drop it and let the next request start a fresh one.
+    const onError = (/** @type {Event} */ event) => {
+      cleanUp();
+
+      if (worker === activeWorker) {
+        activeWorker.terminate();
+        worker = null;
+      }
+
+      reject(new Error(event instanceof ErrorEvent && event.message ? event.message : 'Analysis worker failed'));
+    };
+
+    activeWorker.addEventListener('message', onMessage);
+    activeWorker.addEventListener('error', onError);
+    activeWorker.addEventListener('messageerror', onError);
+    activeWorker.postMessage(/** @type {AnalysisMessage} */ ({ id, request }));
+  });
+}
@@ -0,0 +1,36 @@
+import Config from '../config';
+import { Storage } from './storage';
+
+/**
+ * @typedef {object} BoardLayout
+ * How many boards a mode plays and how they are arranged on screen.
+ * @property {number} boards - Boards played at once, each against its own target word.
+ * @property {number} maxGuesses - Guesses allowed per round; `Infinity` in modes without a limit.
+ * @property {number} gridRows - Tile rows every board starts with. Boards of modes without a guess
+ * limit grow a row at a time once these are used up.
+ * @property {number} columns - Boards side by side.
+ * @property {number} rows - Rows of boards.
+ */
+
+/**
+ * @description Resolves the board layout for a game mode. Multi-board modes take their board count
+ * and guess limit from `Config.multiBoard` and are arranged at most two boards wide; absurdle plays a
+ * single board with no guess limit; every other mode plays a single board with the guess count
+ * picked in the settings.
+ * @param {import('../WordleGame').GameMode} mode - The game mode to lay out.
+ * @returns {BoardLayout} The layout for that mode.
+ */
+export function getBoardLayout(mode) {
+  const preferred = Storage.getMaxGuesses();
+  const { boards, maxGuesses } = Config.multiBoard[mode]
+    ?? { boards: 1, maxGuesses: mode === 'absurdle' ? Infinity : preferred };
+  const columns = Math.min(boards, 2);
+
+  return {
+    boards,
+    maxGuesses,
+    gridRows: Number.isFinite(maxGuesses) ? maxGuesses : preferred,
+    columns,
+    rows: Math.ceil(boards / columns),
+  };
+}
@@ -0,0 +1,68 @@
+import Config from '../config';
+
+/**
+ * Letters a challenge word may contain, in a fixed order. The position of each letter is what
+ * gets encoded, so this order must never change or previously shared links stop decoding.
+ */
+const ALPHABET = [...'АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЬЮЯ'];
+
+/**
+ * URL-safe symbols the encoded letters are written with.
+ */
+const SYMBOLS = '0123456789abcdefghijklmnopqrstuv';
+
+/**
+ * Per-position offset that keeps repeated letters from producing repeated symbols.
+ */
+const SHIFT = 11;
+
+/**
+ * @description Weighted sum of letter positions, so swapped or edited symbols are detected. Letters
+ * count from 1, so an А - alphabet position 0 - added to or cut from the end changes the sum too.
+ * @param {Array<number>} indexes - Alphabet positions of the word's letters.
+ * @returns {number} A checksum in the range of `SYMBOLS`.
+ */
+function checksum(indexes) {
+  return indexes.reduce((sum, index, position) => sum + (index + 1) * (position + 1), 0) % SYMBOLS.length;
+}
+
+/**
+ * @description Obfuscates a word for a challenge link, so the target is not readable in the URL.
+ * This is not encryption: it only keeps the word from being spoiled at a glance.
+ * @param {string} word - Uppercase word to encode.
+ * @returns {string | null} The code (a checksum symbol followed by one symbol per letter), or `null`
+ * if the word contains letters outside the game alphabet.
+ * @example
+ * encodeChallenge('КОТКА'); // Output: 'jl4jmn'
+ */
+export function encodeChallenge(word) {
+  const indexes = [...word].map(letter => ALPHABET.indexOf(letter));
+  if (indexes.length === 0 || indexes.includes(-1)) return null;
+
+  const body = indexes.map((index, position) => SYMBOLS[(index + (position + 1) * SHIFT) % SYMBOLS.length]);
+
+  return SYMBOLS[checksum(indexes)] + body.join('');
+}
+
+/**
+ * @description Reverses `encodeChallenge`. The word length is implied by the code length and
+ * must be one of `Config.wordLengthOptions`; whether the word exists is left to the caller,
+ * since that needs the dictionary.
+ * @param {string} code - The code taken from a challenge link.
+ * @returns {string | null} The decoded uppercase word, or `null` for a malformed or tampered code.
+ */
+export function decodeChallenge(code) {
+  const symbols = [...code.toLowerCase()];
+  const [check, ...body] = symbols.map(symbol => SYMBOLS.indexOf(symbol));
+
+  if (!Config.wordLengthOptions.includes(body.length) || symbols.some(symbol => !SYMBOLS.includes(symbol))) return null;
+
+  const indexes = body.map((value, position) => {
+    const offset = (position + 1) * SHIFT;
+    return ((value - offset) % SYMBOLS.length + SYMBOLS.length) % SYMBOLS.length;
+  });
+
+  if (indexes.some(index => index >= ALPHABET.length) || checksum(indexes) !== check) return null;
+
+  return indexes.map(index => ALPHABET[index]).join('');
+}
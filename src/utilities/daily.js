@@ -0,0 +1,78 @@
+import Config from '../config';
+import { createSeededRandom, hashString } from './misc';
+
+/**
+ * Milliseconds in a calendar day.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats instants as calendar dates in the daily-word time zone, independent of the device's own zone.
+ */
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: Config.daily.timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+/**
+ * Formats instants as 24-hour wall-clock time in the daily-word time zone.
+ */
+const timeFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: Config.daily.timeZone,
+  hourCycle: 'h23',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+/**
+ * @description Identifies the daily-word day an instant falls on, using the configured time zone's midnight as the boundary.
+ * @param {Date} [date] - The instant to resolve. Defaults to now.
+ * @returns {string} The day as `YYYY-MM-DD`.
+ */
+export function getDayKey(date = new Date()) {
+  const parts = Object.fromEntries(dateFormatter.formatToParts(date).map(({ type, value }) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * @description Time left until the next daily word becomes available.
+ * Assumes a 24-hour day, so the value is off by one hour only on the two daylight-saving switch days.
+ * @param {Date} [date] - The instant to measure from. Defaults to now.
+ * @returns {number} Milliseconds until the next midnight in the configured time zone.
+ */
+export function getMsUntilNextDay(date = new Date()) {
+  const parts = Object.fromEntries(timeFormatter.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const elapsed = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + date.getMilliseconds();
+
+  return DAY_MS - elapsed;
+}
+
+/**
+ * @description Formats a duration for the countdown display.
+ * @param {number} ms - Duration in milliseconds; negative values are clamped to zero.
+ * @returns {string} The duration as `HH:MM:SS`.
+ */
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * @description Picks the shared word for a given day. The seed combines the day and the word
+ * length, so every player with the same answer pool gets the same word without any server.
+ * @param {Array<string>} answers - Sorted answer pool to pick from.
+ * @param {string} dayKey - The day as returned by `getDayKey`.
+ * @param {number} wordLength - Word length of the answer pool, mixed into the seed so each length gets its own word.
+ * @returns {string} The daily target word.
+ */
+export function pickDailyWord(answers, dayKey, wordLength) {
+  const random = createSeededRandom(hashString(`${dayKey}:${wordLength}`));
+  return answers[Math.floor(random() * answers.length)];
+}
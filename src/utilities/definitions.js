@@ -0,0 +1,58 @@
+import Config from '../config';
+import { isNil } from './misc';
+import { isMissingFile } from './dictionary';
+
+/**
+ * @typedef {object} Definition
+ * What a word means, as written by `generate-dictionary.mjs` into `{wordLength}.definitions.json`.
+ * @property {string} definition - The meaning, as plain text.
+ * @property {string} [lemma] - Base form the definition belongs to, when the word is an inflected form of it.
+ */
+
+/**
+ * Definitions of each word length, keyed by length. Fetched on the first lookup and kept for the
+ * rest of the session, so the dictionary download does not grow and a length costs one request.
+ * @type {Map<number, Promise<Record<string, Definition>>>}
+ */
+const definitions = new Map();
+
+/**
+ * @description Downloads the definitions of one word length. A deployment without the file
+ * has no definitions for it, which is not an error - whether the host answers with a 404 or with
+ * the app's HTML page, as the development server does.
+ * @param {number} wordLength - The word length to download.
+ * @returns {Promise<Record<string, Definition>>} Definitions by uppercase word.
+ */
+async function fetchDefinitions(wordLength) {
+  const res = await fetch(`${Config.dictionaryPath}/${wordLength}.definitions.json`);
+
+  if (isMissingFile(res)) return {};
+  if (!res.ok) throw new Error(`Failed to load definitions for length ${wordLength}: ${res.status}`);
+
+  const data = await res.json();
+  if (isNil(data) || typeof data !== 'object' || Array.isArray(data)) throw new Error('Invalid definitions');
+
+  return /** @type {Record<string, Definition>} */ (data);
+}
+
+/**
+ * @description Looks up what a word means. A failed download is retried on the next lookup.
+ * @param {string} word - Uppercase word to look up.
+ * @returns {Promise<Definition | null>} The definition, or `null` when the word has none.
+ * @throws {Error} When the definitions of its length cannot be downloaded.
+ */
+export async function loadDefinition(word) {
+  const wordLength = word.length;
+  const pending = definitions.get(wordLength) ?? fetchDefinitions(wordLength);
+  definitions.set(wordLength, pending);
+
+  try {
+    const entries = await pending;
+    const entry = Object.hasOwn(entries, word) ? entries[word] : null;
+
+    return typeof entry?.definition === 'string' ? entry : null;
+  } catch (err) {
+    definitions.delete(wordLength);
+    throw err;
+  }
+}
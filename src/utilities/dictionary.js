@@ -1,21 +1,111 @@
 import Config from '../config';
-import { Storage } from './storage';
+import { isNil, isString } from './misc';
+import { readCachedDictionary, writeCachedDictionary } from './dictionaryCache';
+import { decodeWordList } from './wordList';
 
 /**
- * @description Loads the word list for `wordLength`, using the cache when available.
- * Cached entries have no expiry because dictionary content only changes with a new deployment.
+ * @typedef {object} Dictionary
+ * Word lists for one word length. `answers` is always a subset of `allowed`.
+ * @property {Array<string>} answers - Sorted, uppercase pool that target words are drawn from.
+ * @property {Array<string>} allowed - Sorted, uppercase list of every word accepted as a guess.
+ */
+
+/**
+ * Content hash of the lists of each word length, keyed by length, as written by `generate-dictionary.mjs`.
+ * Kept for the rest of the session once fetched.
+ * @type {Promise<Record<string, string>> | null}
+ */
+let versions = null;
+
+/**
+ * @description Looks up the version of the deployed lists for a word length in `versions.json`.
+ * A failed fetch is retried on the next call.
+ * @param {number} wordLength - The word length to look up.
+ * @returns {Promise<string | null>} The version, or `null` when it cannot be fetched or is not listed.
+ */
+async function getDictionaryVersion(wordLength) {
+  versions ??= fetch(`${Config.dictionaryPath}/versions.json`, { cache: 'no-cache' }).then(async (res) => {
+    if (!res.ok) throw new Error(`Failed to load dictionary versions: ${res.status}`);
+
+    const data = await res.json();
+    if (isNil(data) || typeof data !== 'object' || Array.isArray(data)) throw new Error('Invalid dictionary versions');
+
+    return /** @type {Record<string, string>} */ (data);
+  });
+
+  try {
+    const version = (await versions)[wordLength];
+    return isString(version) ? version : null;
+  } catch {
+    versions = null;
+    return null;
+  }
+}
+
+/**
+ * @description Tells whether an optional file of the dictionary folder is absent. Besides a 404, a
+ * static host or the development server may answer a missing file with the app's `index.html` and
+ * status 200, so an HTML response counts as absent too.
+ * @param {Response} res - The response to the file request.
+ * @returns {boolean} Whether the file does not exist.
+ */
+export function isMissingFile(res) {
+  return res.status === 404 || (res.ok && (res.headers.get('content-type') ?? '').includes('text/html'));
+}
+
+/**
+ * @description Downloads the word lists for `wordLength` and decodes them from the compact form
+ * written by `encodeWordList`. A deployment without an answers file falls back to using every allowed
+ * word as an answer.
  * @param {number} wordLength - Number of letters each word must have.
- * @returns {Promise<Array<string>>} Sorted, uppercase word list.
+ * @returns {Promise<Dictionary>} The answer pool and the accepted-guess list.
+ */
+async function fetchDictionary(wordLength) {
+  const [allowedRes, answersRes] = await Promise.all([
+    fetch(`${Config.dictionaryPath}/${wordLength}.txt`),
+    fetch(`${Config.dictionaryPath}/${wordLength}.answers.txt`),
+  ]);
+
+  if (!allowedRes.ok) throw new Error(`Failed to load dictionary for length ${wordLength}: ${allowedRes.status}`);
+  const hasAnswers = !isMissingFile(answersRes);
+  if (hasAnswers && !answersRes.ok) throw new Error(`Failed to load answers for length ${wordLength}: ${answersRes.status}`);
+
+  const allowed = decodeWordList(await allowedRes.text(), wordLength);
+  const answers = hasAnswers ? decodeWordList(await answersRes.text(), wordLength) : allowed;
+
+  return { answers, allowed };
+}
+
+/**
+ * @description Loads the word lists for `wordLength`, using the IndexedDB cache when it holds the deployed
+ * version. A cached entry of another version is stale and gets replaced; while the version cannot be
+ * looked up, or the lists cannot be downloaded, any cached entry is used instead, so play goes on offline.
+ * Failing to write the cache does not fail the load.
+ * @param {number} wordLength - Number of letters each word must have.
+ * @returns {Promise<Dictionary>} The answer pool and the accepted-guess list.
+ * @throws {Error} When the lists can be neither downloaded nor read from the cache.
  */
 export async function loadDictionary(wordLength) {
-  const cached = Storage.getDictionaryCache(wordLength);
-  if (cached) return cached.dictionary;
+  const [version, cached] = await Promise.all([
+    getDictionaryVersion(wordLength),
+    readCachedDictionary(wordLength).catch(() => null),
+  ]);
+
+  if (cached && (isNil(version) || cached.version === version)) return { answers: cached.answers, allowed: cached.allowed };
+
+  /** @type {Dictionary} */
+  let dictionary;
 
-  const res = await fetch(`${Config.dictionaryPath}/${wordLength}.json`);
-  if (!res.ok) throw new Error(`Failed to load dictionary for length ${wordLength}: ${res.status}`);
+  try {
+    dictionary = await fetchDictionary(wordLength);
+  } catch (err) {
+    if (cached) return { answers: cached.answers, allowed: cached.allowed };
+    throw err;
+  }
 
-  const dictionary = /** @type {string[]} */ (await res.json());
-  Storage.setDictionaryCache(dictionary, wordLength);
+  writeCachedDictionary({ wordLength, version, ...dictionary }).catch((err) => {
+    console.error('Failed to cache dictionary:', err);
+  });
 
   return dictionary;
 }
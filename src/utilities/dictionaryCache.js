@@ -0,0 +1,110 @@
+import Config from '../config';
+import { Storage } from './storage';
+
+/**
+ * @typedef {object} CachedDictionary
+ * The word lists of one length as kept in IndexedDB; a newer version replaces the entry.
+ * @property {number} wordLength - Key of the entry.
+ * @property {string | null} version - Content hash of the lists from the deployment's `versions.json`;
+ * `null` when it was unknown, as for lists migrated from localStorage.
+ * @property {Array<string>} answers - See `Dictionary`.
+ * @property {Array<string>} allowed - See `Dictionary`.
+ */
+
+/**
+ * Name and schema version of the database; bump the version with every change to the stores.
+ */
+const DB_NAME = 'bg-wordle';
+const DB_VERSION = 1;
+
+/**
+ * Object store holding one `CachedDictionary` per word length.
+ */
+const STORE = 'dictionaries';
+
+/**
+ * Opened once and shared by every read and write; resolves to `null` where IndexedDB is unavailable.
+ * @type {Promise<IDBDatabase | null> | null}
+ */
+let database = null;
+
+/**
+ * @description Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest<T>} request - The pending request.
+ * @returns {Promise<T>} Its result.
+ * @template T
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+}
+
+/**
+ * @description Moves word lists cached in localStorage by earlier versions into IndexedDB, where they are
+ * kept without a version - good enough while the deployment's versions cannot be fetched, and replaced
+ * on the first load that can. The localStorage entries are removed either way, freeing their quota.
+ * @param {IDBDatabase} db - The open database.
+ */
+async function migrateLegacyCache(db) {
+  for (const wordLength of Config.wordLengthOptions) {
+    const legacy = Storage.getDictionaryCache(wordLength);
+
+    if (legacy) {
+      /** @type {CachedDictionary} */
+      const entry = { wordLength, version: null, answers: legacy.answers, allowed: legacy.allowed };
+      await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).put(entry));
+    }
+
+    Storage.removeDictionaryCache(wordLength);
+  }
+}
+
+/**
+ * @description Opens the database on first use, creating its store and migrating the old cache.
+ * @returns {Promise<IDBDatabase | null>} The database, or `null` when IndexedDB is unavailable or fails to open.
+ */
+function openDatabase() {
+  database ??= (async () => {
+    if (typeof indexedDB === 'undefined') return null;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.addEventListener('upgradeneeded', () => request.result.createObjectStore(STORE, { keyPath: 'wordLength' }));
+
+    const db = await promisify(request);
+    await migrateLegacyCache(db);
+
+    return db;
+  })().catch((err) => {
+    console.error('Failed to open the dictionary cache:', err);
+    return null;
+  });
+
+  return database;
+}
+
+/**
+ * @description Cached word lists for a word length, whatever their version.
+ * @param {number} wordLength - The word length to look up.
+ * @returns {Promise<CachedDictionary | null>} The entry, or `null` on a miss or a structurally invalid entry.
+ */
+export async function readCachedDictionary(wordLength) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  const entry = /** @type {CachedDictionary | undefined} */ (await promisify(db.transaction(STORE).objectStore(STORE).get(wordLength)));
+  return Array.isArray(entry?.answers) && Array.isArray(entry?.allowed) ? entry : null;
+}
+
+/**
+ * @description Stores word lists for future loads, replacing any older version of the same length.
+ * @param {CachedDictionary} entry - The lists and the version they were fetched for.
+ * @returns {Promise<void>} Resolves once the write has succeeded, or right away without IndexedDB.
+ */
+export async function writeCachedDictionary(entry) {
+  const db = await openDatabase();
+  if (!db) return;
+
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).put(entry));
+}
@@ -1,3 +1,14 @@
 export * from './misc';
 export * from './storage';
 export * from './dictionary';
+export * from './wordList';
+export * from './definitions';
+export * from './daily';
+export * from './share';
+export * from './challenge';
+export * from './analysis';
+export * from './boards';
+export * from './stopwatch';
+export * from './locale';
+export * from './keyboard';
+export * from './serviceWorker';
@@ -0,0 +1,64 @@
+/**
+ * @typedef {'phonetic' | 'bds' | 'off'} InputLayout
+ * How key presses from a Latin physical keyboard are read: as the Bulgarian phonetic layout the
+ * on-screen keyboard uses, as the BDS typewriter layout, or not at all.
+ */
+/**
+ * @typedef {'phonetic' | 'bds' | 'alphabetical'} KeyboardLayout
+ * Order of the letters on the on-screen keyboard: the phonetic layout, the BDS typewriter layout, or
+ * the order of the alphabet.
+ */
+
+/**
+ * Bulgarian letter produced by each Latin key, per layout. Keys are the lowercase `KeyboardEvent.key`
+ * values of a US keyboard; keys with no letter in a layout are left out.
+ * @type {Readonly<Record<Exclude<InputLayout, 'off'>, Readonly<Record<string, string>>>>}
+ */
+const LAYOUTS = Object.freeze({
+  phonetic: Object.freeze({
+    '`': 'Ч', q: 'Я', w: 'В', e: 'Е', r: 'Р', t: 'Т', y: 'Ъ', u: 'У', i: 'И', o: 'О', p: 'П', '[': 'Ш', ']': 'Щ', '\\': 'Ю',
+    a: 'А', s: 'С', d: 'Д', f: 'Ф', g: 'Г', h: 'Х', j: 'Й', k: 'К', l: 'Л',
+    z: 'З', x: 'Ь', c: 'Ц', v: 'Ж', b: 'Б', n: 'Н', m: 'М',
+  }),
+  bds: Object.freeze({
+    w: 'У', e: 'Е', r: 'И', t: 'Ш', y: 'Щ', u: 'К', i: 'С', o: 'Д', p: 'З', '[': 'Ц',
+    a: 'Ь', s: 'Я', d: 'А', f: 'О', g: 'Ж', h: 'Г', j: 'Т', k: 'Н', l: 'В', ';': 'М', '\'': 'Ч',
+    z: 'Ю', x: 'Й', c: 'Ъ', b: 'Ф', n: 'Х', m: 'П', ',': 'Р', '.': 'Л', '/': 'Б',
+  }),
+});
+
+/**
+ * @description Reads a physical key press as a Bulgarian letter, for players whose system keyboard
+ * is not set to Bulgarian. Letters typed with a Cyrillic system layout, named keys such as `'Enter'`,
+ * and keys the layout has no letter for are returned unchanged.
+ * @param {string} key - The `KeyboardEvent.key` of the press.
+ * @param {InputLayout} layout - The layout to read Latin keys with.
+ * @returns {string} The Bulgarian letter, or `key` itself.
+ * @example
+ * mapPhysicalKey('q', 'phonetic'); // Output: 'Я'
+ * mapPhysicalKey('q', 'bds'); // Output: 'q'
+ */
+export function mapPhysicalKey(key, layout) {
+  if (layout === 'off' || key.length !== 1) return key;
+
+  return LAYOUTS[layout][key.toLowerCase()] ?? key;
+}
+
+/**
+ * @description Whether a key is one of the 30 letters of the Bulgarian alphabet, in either case.
+ * @param {string} key - A key name or a single character.
+ * @returns {boolean}
+ */
+export function isBulgarianLetter(key) {
+  return /^[а-щъьюяА-ЩЪЬЮЯ]$/.test(key);
+}
+
+/**
+ * @description Whether a key is a Cyrillic letter the Bulgarian alphabet lacks, such as `Ы`, `Э` or `Ё`
+ * from a Russian system layout.
+ * @param {string} key - A key name or a single character.
+ * @returns {boolean}
+ */
+export function isForeignLetter(key) {
+  return /^\p{Script=Cyrillic}$/u.test(key) && !isBulgarianLetter(key);
+}
@@ -0,0 +1,32 @@
+import Config from '../config';
+import bg from '../locales/bg.js';
+
+/**
+ * @typedef {'bg' | 'en'} Locale
+ * Interface language; also the value of `<html lang>` while it is active.
+ */
+
+/**
+ * Loaders of the language packs. The default pack is already bundled through `Config`, so it is
+ * handed out as is; importing it dynamically as well would only split it from the bundle in vain.
+ * @type {Record<Locale, () => Promise<{ default: import('../locales/bg').Translations }>>}
+ */
+const PACKS = {
+  bg: async () => ({ default: bg }),
+  en: () => import('../locales/en.js'),
+};
+
+/**
+ * @description Makes a language pack the active one: fetches its module on first use, swaps it into
+ * `Config.translations` and marks the document with its language. Text already on the page keeps the
+ * previous language until it is rendered again.
+ * @param {Locale} locale - The language to switch to; must be a key of `Config.locales`.
+ * @returns {Promise<void>} Resolves once the pack is active.
+ * @throws {Error} When the pack cannot be fetched; the previous language stays active.
+ */
+export async function loadLocale(locale) {
+  const { default: translations } = await PACKS[locale]();
+
+  Config.translations = translations;
+  document.documentElement.lang = locale;
+}
@@ -59,6 +59,46 @@ export function sampleFromArray(array, size) {
   return [...sampledIndexes].map(index => array[index]);
 }
 
+/**
+ * @description Hashes a string into an unsigned 32-bit integer using FNV-1a.
+ * Stable across browsers and sessions, which makes it suitable as a seed for `createSeededRandom`.
+ * @param {string} value - The string to hash.
+ * @returns {number} The 32-bit hash of `value`.
+ * @example
+ * hashString('2024-01-01:5'); // Output: the same number on every device
+ */
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < value.length; index++) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * @description Creates a deterministic pseudo-random generator (mulberry32) with the same contract as `Math.random`.
+ * The same seed always produces the same sequence, so every player can derive identical values independently.
+ * @param {number} seed - A 32-bit integer seed, e.g. from `hashString`.
+ * @returns {() => number} A function returning floats in the range [0, 1).
+ * @example
+ * const random = createSeededRandom(42);
+ * random(); // Output: 0.6011037519201636 (always)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * @description Creates an DOM element with specified tag and properties.
  * @param {T} tag - The tag of the new element to create.
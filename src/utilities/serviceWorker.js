@@ -0,0 +1,36 @@
+/**
+ * @description Registers the service worker that keeps the installed app playable offline, and reports
+ * when a newer deployment has finished installing in the background. The page checks for one whenever it
+ * becomes visible again, since an installed app can stay open for days. Only production builds ship the
+ * worker, so this does nothing in development.
+ * @param {(activate: () => void) => void} onUpdate - Called when a new version is waiting; `activate`
+ * switches to it and reloads the page.
+ * @returns {Promise<void>} Resolves once the worker is registered.
+ * @throws {Error} When the registration fails.
+ */
+export async function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const { serviceWorker } = navigator;
+  const registration = await serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+
+  const offer = (/** @type {ServiceWorker} */ worker) => onUpdate(() => {
+    serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true });
+    worker.postMessage({ type: 'skip-waiting' });
+  });
+
+  // Without a controller this is the first install, which has nothing to replace.
+  if (registration.waiting && serviceWorker.controller) offer(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && serviceWorker.controller) offer(worker);
+    });
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => { });
+  });
+}
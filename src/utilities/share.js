@@ -0,0 +1,124 @@
+import Config from '../config';
+import { createElement, isFunction, isNil } from './misc';
+import { formatDuration } from './stopwatch';
+import { getDayKey } from './daily';
+
+/**
+ * Spoiler-free square for each evaluated tile state.
+ * @type {Record<import('../WordleGame').LettersState, string>}
+ */
+const EMOJI = Object.freeze({
+  'correct-spot': '🟩',
+  'wrong-spot': '🟨',
+  'missing-spot': '⬛',
+});
+
+/**
+ * @description Builds the shareable summary of a finished round: a header line with mode,
+ * word length, guess count and a hard-mode asterisk, followed by one row of squares per guess.
+ * A round played with hints says how many, so it cannot pass for one solved without help.
+ * Multi-board rounds get one such grid per board, separated by blank lines. Speed runs add the time
+ * to the header; a time-attack run is summed up in a single line of solved words and time.
+ * Letters are never included, so the text can be posted without spoiling the word.
+ * @param {import('../WordleGame').RoundResult} result - The finished round.
+ * @returns {string} Multi-line text ready for the clipboard or the share sheet.
+ */
+export function buildShareText(result) {
+  const { translations: t } = Config;
+
+  const modeLabels = {
+    unlimited: t.modeUnlimited,
+    daily: `${t.modeDaily} ${result.dayKey}`,
+    challenge: t.modeChallenge,
+    dordle: t.modeDordle,
+    quordle: t.modeQuordle,
+    absurdle: t.modeAbsurdle,
+    timeattack: t.modeTimeAttack,
+    speedrun: t.modeSpeedRun,
+  };
+
+  const time = formatDuration(result.elapsedMs ?? 0);
+
+  if (!isNil(result.solved)) {
+    return t.shareTimeAttack
+      .replace('{{title}}', t.title)
+      .replace('{{mode}}', modeLabels[result.mode])
+      .replace('{{length}}', String(result.wordLength))
+      .replace('{{count}}', String(result.solved))
+      .replace('{{time}}', time);
+  }
+
+  const header = t.shareHeader
+    .replace('{{title}}', t.title)
+    .replace('{{mode}}', modeLabels[result.mode])
+    .replace('{{length}}', String(result.wordLength))
+    .replace('{{result}}', result.won ? String(result.guessCount) : 'X')
+    .replace('{{max}}', Number.isFinite(result.maxGuesses) ? String(result.maxGuesses) : '∞')
+    .replace('{{hard}}', result.hardMode ? '*' : '')
+    + (isNil(result.elapsedMs) ? '' : t.shareTime.replace('{{time}}', time))
+    + (result.hintsUsed > 0 ? t.shareHints.replace('{{count}}', String(result.hintsUsed)) : '');
+
+  const grids = result.boards.map(({ rows }) => rows.map(row => row.map(state => EMOJI[state]).join('')).join('\n'));
+
+  return [header, ...grids].join('\n\n');
+}
+
+/**
+ * @description Hands text to the native share sheet when the browser has one, otherwise copies it.
+ * A share sheet dismissed by the user is not an error.
+ * @param {string} text - The text to share.
+ * @returns {Promise<'shared' | 'copied' | 'cancelled'>} How the text left the page.
+ * @throws {Error} When neither the share sheet nor the clipboard is available.
+ */
+export async function shareText(text) {
+  if (isFunction(navigator.share)) {
+    try {
+      await navigator.share({ text });
+      return 'shared';
+    } catch (err) {
+      if (err instanceof DOMException && err.name === 'AbortError') return 'cancelled';
+      /* share sheet refused the payload - fall back to the clipboard */
+    }
+  }
+
+  if (!navigator.clipboard) throw new Error('Clipboard API is not available');
+
+  await navigator.clipboard.writeText(text);
+  return 'copied';
+}
+
+/**
+ * @description Builds the report of the player's own words to send upstream. It is an allowlist as
+ * `generate-dictionary.mjs --allowlist` reads it: one word per line, under `#` comments naming the
+ * game, its address and the day of export, and heading each word length.
+ * @param {Array<string>} words - The player's own words of every length.
+ * @returns {string} The file content, ending in a newline.
+ */
+export function buildWordReport(words) {
+  const { translations: t } = Config;
+
+  const lengths = [...new Set(words.map(word => word.length))].sort((a, b) => a - b);
+  const lines = [
+    `# ${t.title} – ${t.personalWordsTitle}`,
+    `# ${location.origin}${location.pathname} – ${getDayKey()}`,
+    ...lengths.flatMap(length => [
+      '',
+      `# ${t.statsScope.replace('{{length}}', String(length))}`,
+      ...words.filter(word => word.length === length).sort(),
+    ]),
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @description Saves text as a file through the browser's download prompt.
+ * @param {string} fileName - Name the file is offered under.
+ * @param {string} text - The file content, saved as UTF-8 plain text.
+ */
+export function downloadText(fileName, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain;charset=utf-8' }));
+
+  createElement('a', { attributes: { href: url, download: fileName } }).click();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
@@ -0,0 +1,102 @@
+/**
+ * @typedef {'idle' | 'running' | 'paused' | 'stopped'} StopwatchState
+ * Where a stopwatch is in its life: not started yet, counting, held while a modal is open, or finished.
+ */
+
+/**
+ * Measures play time for the timed modes, leaving out every stretch it was paused.
+ */
+export class Stopwatch {
+  /**
+   * Current phase; only `'running'` adds time.
+   * @type {StopwatchState}
+   */
+  #state = 'idle';
+  /**
+   * Milliseconds counted before the current running stretch began.
+   * @type {number}
+   */
+  #banked = 0;
+  /**
+   * `performance.now()` at the start of the current running stretch.
+   * @type {number}
+   */
+  #since = 0;
+
+  /**
+   * @description Current phase of the stopwatch.
+   * @returns {StopwatchState}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * @description Time counted so far, pauses excluded.
+   * @returns {number} Elapsed milliseconds.
+   */
+  get elapsed() {
+    return this.#state === 'running' ? this.#banked + performance.now() - this.#since : this.#banked;
+  }
+
+  /**
+   * @description Starts counting. Does nothing unless the stopwatch is idle.
+   */
+  start() {
+    if (this.#state !== 'idle') return;
+
+    this.#since = performance.now();
+    this.#state = 'running';
+  }
+
+  /**
+   * @description Holds the count until `resume`. Does nothing unless the stopwatch is running.
+   */
+  pause() {
+    if (this.#state !== 'running') return;
+
+    this.#banked = this.elapsed;
+    this.#state = 'paused';
+  }
+
+  /**
+   * @description Continues counting after `pause`. Does nothing unless the stopwatch is paused.
+   */
+  resume() {
+    if (this.#state !== 'paused') return;
+
+    this.#since = performance.now();
+    this.#state = 'running';
+  }
+
+  /**
+   * @description Freezes the count for good; only `reset` starts a new one.
+   */
+  stop() {
+    this.#banked = this.elapsed;
+    this.#state = 'stopped';
+  }
+
+  /**
+   * @description Returns to zero and waits for the next `start`.
+   */
+  reset() {
+    this.#banked = 0;
+    this.#state = 'idle';
+  }
+}
+
+/**
+ * @description Formats a play time for the timer and the results.
+ * @param {number} ms - Duration in milliseconds; negative values are clamped to zero.
+ * @returns {string} The duration as `M:SS.t`.
+ * @example
+ * formatDuration(83_450); // Output: '1:23.4'
+ */
+export function formatDuration(ms) {
+  const tenths = Math.floor(Math.max(0, ms) / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = Math.floor((tenths % 600) / 10);
+
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+}
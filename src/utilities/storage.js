@@ -1,4 +1,5 @@
 import Config from '../config';
+import { createArray } from './misc';
 
 /**
  * Keys used to read and write data in browser storage.
@@ -6,51 +7,148 @@ import Config from '../config';
 const KEYS = Object.freeze({
   score: 'bg-wordle-score',
   highscore: 'bg-wordle-highscore',
+  absurdleBest: 'bg-wordle-absurdle-best',
+  timeAttackBest: 'bg-wordle-time-attack-best',
+  speedRunBest: 'bg-wordle-speed-run-best',
   hardMode: 'bg-wordle-hard-mode',
+  candidates: 'bg-wordle-candidates',
   swapButtons: 'bg-wordle-swap-buttons',
+  inputLayout: 'bg-wordle-input-layout',
+  keyboardLayout: 'bg-wordle-keyboard-layout',
   theme: 'bg-wordle-theme',
   wordLength: 'bg-wordle-word-length',
+  maxGuesses: 'bg-wordle-max-guesses',
+  mode: 'bg-wordle-mode',
+  locale: 'bg-wordle-locale',
+  daily: 'bg-wordle-daily',
+  round: 'bg-wordle-round',
+  stats: 'bg-wordle-stats',
   dictionary: 'bg-wordle-dictionary',
+  personalWords: 'bg-wordle-personal-words',
 });
 
+/**
+ * @typedef {object} GameStats
+ * Lifetime results for one word length and difficulty.
+ * @property {number} played - Finished rounds, won or lost.
+ * @property {number} won - Rounds solved within the guess limit.
+ * @property {number} currentStreak - Consecutive wins up to the latest round.
+ * @property {number} maxStreak - Longest run of consecutive wins ever recorded.
+ * @property {Array<number>} distribution - Wins per guess count; index 0 counts first-guess wins.
+ * @property {number | null} lastWin - Guess count of the latest round if it was won, otherwise `null`.
+ * @property {number} assisted - Finished rounds played with the remaining-candidates counter on.
+ * @property {number} hinted - Finished rounds in which at least one hint was taken.
+ */
+
+/**
+ * @description Builds the key of a score kept per word length and guess count. The default guess
+ * count keeps the plain per-length key, so scores saved before the count became configurable still apply.
+ * @param {string} prefix - One of the `KEYS` values.
+ * @param {number} wordLength - The word length the score belongs to.
+ * @param {number} maxGuesses - The guess count the score belongs to.
+ * @returns {string} The storage key.
+ */
+function getScoreKey(prefix, wordLength, maxGuesses) {
+  return maxGuesses === Config.maxGuesses ? `${prefix}-${wordLength}` : `${prefix}-${wordLength}-${maxGuesses}`;
+}
+
 /**
  * Centralises all browser-storage reads and writes for the game.
  */
 export class Storage {
   /**
-   * @description Current-session score, keyed by word length. Resets on tab close by design.
+   * @description Current-session score, keyed by word length and guess count. Resets on tab close by design.
    * @param {number} wordLength - The word length whose score to look up.
+   * @param {number} maxGuesses - The guess count whose score to look up.
    * @returns {number} The current session score, or 0 if nothing is stored.
    */
-  static getScore(wordLength) {
-    return Number(sessionStorage.getItem(`${KEYS.score}-${wordLength}`)) || 0;
+  static getScore(wordLength, maxGuesses) {
+    return Number(sessionStorage.getItem(getScoreKey(KEYS.score, wordLength, maxGuesses))) || 0;
   }
 
   /**
-   * @description Current-session score, keyed by word length. Resets on tab close by design.
+   * @description Current-session score, keyed by word length and guess count. Resets on tab close by design.
    * @param {number} wordLength - The word length to record the score under.
+   * @param {number} maxGuesses - The guess count to record the score under.
    * @param {number} value - The new score.
    */
-  static setScore(wordLength, value) {
-    sessionStorage.setItem(`${KEYS.score}-${wordLength}`, String(value));
+  static setScore(wordLength, maxGuesses, value) {
+    sessionStorage.setItem(getScoreKey(KEYS.score, wordLength, maxGuesses), String(value));
   }
 
   /**
-   * @description All-time high score for a given word length. Only ever updated on a win, never decremented.
+   * @description All-time high score for a given word length and guess count - fewer guesses make
+   * points harder to earn, so each count is ranked on its own. Only ever updated on a win, never decremented.
    * @param {number} wordLength - The word length whose high score to look up.
-   * @returns {number} The best score ever recorded for this word length, or 0.
+   * @param {number} maxGuesses - The guess count whose high score to look up.
+   * @returns {number} The best score ever recorded for this word length and guess count, or 0.
    */
-  static getHighscore(wordLength) {
-    return Number(localStorage.getItem(`${KEYS.highscore}-${wordLength}`)) || 0;
+  static getHighscore(wordLength, maxGuesses) {
+    return Number(localStorage.getItem(getScoreKey(KEYS.highscore, wordLength, maxGuesses))) || 0;
   }
 
   /**
-   * @description All-time high score for a given word length. Only ever updated on a win, never decremented.
+   * @description All-time high score for a given word length and guess count. Only ever updated on a win, never decremented.
    * @param {number} wordLength - The word length to record the high score under.
+   * @param {number} maxGuesses - The guess count to record the high score under.
    * @param {number} value - The new high score.
    */
-  static setHighscore(wordLength, value) {
-    localStorage.setItem(`${KEYS.highscore}-${wordLength}`, String(value));
+  static setHighscore(wordLength, maxGuesses, value) {
+    localStorage.setItem(getScoreKey(KEYS.highscore, wordLength, maxGuesses), String(value));
+  }
+
+  /**
+   * @description Fewest guesses an absurdle round has ever been won in, for a given word length.
+   * @param {number} wordLength - The word length whose record to look up.
+   * @returns {number | null} The record, or `null` if no absurdle round has been won yet.
+   */
+  static getAbsurdleBest(wordLength) {
+    return Number(localStorage.getItem(`${KEYS.absurdleBest}-${wordLength}`)) || null;
+  }
+
+  /**
+   * @description Fewest guesses an absurdle round has ever been won in, for a given word length.
+   * @param {number} wordLength - The word length to record the result under.
+   * @param {number} value - The new record.
+   */
+  static setAbsurdleBest(wordLength, value) {
+    localStorage.setItem(`${KEYS.absurdleBest}-${wordLength}`, String(value));
+  }
+
+  /**
+   * @description Most words ever solved in one time-attack run, for a given word length.
+   * @param {number} wordLength - The word length whose record to look up.
+   * @returns {number} The record, or 0 if none is stored.
+   */
+  static getTimeAttackBest(wordLength) {
+    return Number(localStorage.getItem(`${KEYS.timeAttackBest}-${wordLength}`)) || 0;
+  }
+
+  /**
+   * @description Most words ever solved in one time-attack run, for a given word length.
+   * @param {number} wordLength - The word length to record the result under.
+   * @param {number} value - The new record.
+   */
+  static setTimeAttackBest(wordLength, value) {
+    localStorage.setItem(`${KEYS.timeAttackBest}-${wordLength}`, String(value));
+  }
+
+  /**
+   * @description Fastest won speed-run round, for a given word length.
+   * @param {number} wordLength - The word length whose record to look up.
+   * @returns {number | null} The record in milliseconds, or `null` if no speed run has been won yet.
+   */
+  static getSpeedRunBest(wordLength) {
+    return Number(localStorage.getItem(`${KEYS.speedRunBest}-${wordLength}`)) || null;
+  }
+
+  /**
+   * @description Fastest won speed-run round, for a given word length.
+   * @param {number} wordLength - The word length to record the result under.
+   * @param {number} value - The new record in milliseconds.
+   */
+  static setSpeedRunBest(wordLength, value) {
+    localStorage.setItem(`${KEYS.speedRunBest}-${wordLength}`, String(Math.round(value)));
   }
 
   /**
@@ -69,6 +167,22 @@ export class Storage {
     localStorage.setItem(KEYS.hardMode, String(value));
   }
 
+  /**
+   * @description Whether the remaining-candidates counter is shown. Off unless the player turned it on.
+   * @returns {boolean} `true` if the counter is enabled.
+   */
+  static getShowCandidates() {
+    return localStorage.getItem(KEYS.candidates) === 'true';
+  }
+
+  /**
+   * @description Persists the remaining-candidates counter preference.
+   * @param {boolean} value - `true` to enable, `false` to disable.
+   */
+  static setShowCandidates(value) {
+    localStorage.setItem(KEYS.candidates, String(value));
+  }
+
   /**
    * @description The stored theme preference. Falls back to `prefers-color-scheme` when
    * the user has not yet made an explicit choice.
@@ -129,11 +243,212 @@ export class Storage {
   }
 
   /**
-   * @description Cached word list for a specific word length.
-   * Returns `null` on a cache miss, a parse error, or a structurally invalid entry.
-   * Entries have no expiry; they stay valid until new dictionary files are deployed.
+   * @description The user's preferred number of guesses per round, persisted across sessions.
+   * @returns {number} The saved guess count, or the config default if nothing valid is stored.
+   */
+  static getMaxGuesses() {
+    const value = Number(localStorage.getItem(KEYS.maxGuesses));
+    return Config.maxGuessesOptions.includes(value) ? value : Config.maxGuesses;
+  }
+
+  /**
+   * @description Persists the chosen number of guesses per round.
+   * @param {number} value - Guess count to persist.
+   */
+  static setMaxGuesses(value) {
+    localStorage.setItem(KEYS.maxGuesses, String(value));
+  }
+
+  /**
+   * @description The user's preferred way of reading a Latin physical keyboard, persisted across sessions.
+   * @returns {import('./keyboard').InputLayout} The saved layout, or the config default if nothing valid is stored.
+   */
+  static getInputLayout() {
+    const layout = /** @type {import('./keyboard').InputLayout} */ (localStorage.getItem(KEYS.inputLayout));
+    return Config.inputLayoutOptions.includes(layout) ? layout : /** @type {import('./keyboard').InputLayout} */ (Config.defaultInputLayout);
+  }
+
+  /**
+   * @description Persists the chosen physical-keyboard layout.
+   * @param {import('./keyboard').InputLayout} value - Layout to persist.
+   */
+  static setInputLayout(value) {
+    localStorage.setItem(KEYS.inputLayout, value);
+  }
+
+  /**
+   * @description The user's preferred on-screen keyboard layout, persisted across sessions.
+   * @returns {import('./keyboard').KeyboardLayout} The saved layout, or the config default if nothing valid is stored.
+   */
+  static getKeyboardLayout() {
+    const layout = localStorage.getItem(KEYS.keyboardLayout) ?? '';
+    return /** @type {import('./keyboard').KeyboardLayout} */ (Object.hasOwn(Config.keyboardLayouts, layout) ? layout : Config.defaultKeyboardLayout);
+  }
+
+  /**
+   * @description Persists the chosen on-screen keyboard layout.
+   * @param {import('./keyboard').KeyboardLayout} value - Layout to persist.
+   */
+  static setKeyboardLayout(value) {
+    localStorage.setItem(KEYS.keyboardLayout, value);
+  }
+
+  /**
+   * @description The user's preferred game mode, persisted across sessions.
+   * @returns {import('../WordleGame').GameMode} The saved mode, or the config default if nothing valid is stored.
+   */
+  static getMode() {
+    const mode = /** @type {import('../WordleGame').GameMode} */ (localStorage.getItem(KEYS.mode));
+    return Config.modeOptions.includes(mode) ? mode : /** @type {import('../WordleGame').GameMode} */ (Config.defaultMode);
+  }
+
+  /**
+   * @description Persists the chosen game mode.
+   * @param {import('../WordleGame').GameMode} value - Game mode to persist.
+   */
+  static setMode(value) {
+    localStorage.setItem(KEYS.mode, value);
+  }
+
+  /**
+   * @description The user's preferred interface language, persisted across sessions.
+   * @returns {import('./locale').Locale} The saved language, or the config default if nothing valid is stored.
+   */
+  static getLocale() {
+    const locale = localStorage.getItem(KEYS.locale) ?? '';
+    return /** @type {import('./locale').Locale} */ (Object.hasOwn(Config.locales, locale) ? locale : Config.defaultLocale);
+  }
+
+  /**
+   * @description Persists the chosen interface language.
+   * @param {import('./locale').Locale} value - Language to persist.
+   */
+  static setLocale(value) {
+    localStorage.setItem(KEYS.locale, value);
+  }
+
+  /**
+   * @description Outcome of the most recently finished daily round for a word length.
+   * Only the latest day is kept; comparing its `day` with today tells whether today's word was already played.
+   * @param {number} wordLength - The word length whose daily result to look up.
+   * @returns {{ day: string, won: boolean, guesses: number } | null} The stored result, or `null` if none is stored.
+   */
+  static getDailyResult(wordLength) {
+    try {
+      const raw = localStorage.getItem(`${KEYS.daily}-${wordLength}`);
+      if (!raw) return null;
+
+      const parsed = JSON.parse(raw);
+      return typeof parsed?.day === 'string' ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @description Records the outcome of a finished daily round, replacing any previous day.
+   * @param {number} wordLength - The word length the round was played with.
+   * @param {{ day: string, won: boolean, guesses: number }} value - The day key and outcome to store.
+   */
+  static setDailyResult(wordLength, value) {
+    localStorage.setItem(`${KEYS.daily}-${wordLength}`, JSON.stringify(value));
+  }
+
+  /**
+   * @description The unfinished round for a mode and word length, so a reload or a killed tab
+   * resumes the same board. Each mode and length keeps its own slot.
+   * Returns `null` on a miss, a parse error, or a structurally invalid entry.
+   * @param {import('../WordleGame').GameMode} mode - The game mode whose round to look up.
+   * @param {number} wordLength - The word length whose round to look up.
+   * @returns {import('../WordleGame').RoundState | null} The saved round, or `null` on a miss.
+   */
+  static getRoundState(mode, wordLength) {
+    try {
+      const raw = localStorage.getItem(`${KEYS.round}-${mode}-${wordLength}`);
+      if (!raw) return null;
+
+      const parsed = JSON.parse(raw);
+      return typeof parsed?.targetWord === 'string' && Array.isArray(parsed.guesses) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @description Saves the current round under its own mode and word length, replacing the previous save.
+   * @param {import('../WordleGame').RoundState} state - The serialized round.
+   */
+  static setRoundState(state) {
+    try {
+      localStorage.setItem(`${KEYS.round}-${state.mode}-${state.wordLength}`, JSON.stringify(state));
+    } catch {
+      /* quota exceeded - round is simply not resumable */
+    }
+  }
+
+  /**
+   * @description Drops the saved round for a mode and word length.
+   * @param {import('../WordleGame').GameMode} mode - The game mode whose round to drop.
+   * @param {number} wordLength - The word length whose round to drop.
+   */
+  static clearRoundState(mode, wordLength) {
+    localStorage.removeItem(`${KEYS.round}-${mode}-${wordLength}`);
+  }
+
+  /**
+   * @description Lifetime statistics, tracked separately per word length and per hard mode
+   * so results from easier settings never inflate harder ones. The guess distribution always has
+   * at least one slot per guess of the current guess count.
+   * @param {number} wordLength - The word length whose statistics to look up.
+   * @param {boolean} hardMode - Whether to look up the hard-mode statistics.
+   * @returns {GameStats} The stored statistics, or empty ones if nothing valid is stored.
+   */
+  static getStats(wordLength, hardMode) {
+    const empty = {
+      played: 0,
+      won: 0,
+      currentStreak: 0,
+      maxStreak: 0,
+      distribution: createArray(Storage.getMaxGuesses(), 0),
+      lastWin: null,
+      assisted: 0,
+      hinted: 0,
+    };
+
+    try {
+      const raw = localStorage.getItem(`${KEYS.stats}-${wordLength}-${hardMode ? 'hard' : 'normal'}`);
+      if (!raw) return empty;
+
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed?.distribution)) return empty;
+
+      const stats = { ...empty, ...parsed };
+      while (stats.distribution.length < empty.distribution.length) stats.distribution.push(0);
+
+      return stats;
+    } catch {
+      return empty;
+    }
+  }
+
+  /**
+   * @description Persists lifetime statistics for a word length and difficulty.
+   * @param {number} wordLength - The word length to record the statistics under.
+   * @param {boolean} hardMode - Whether the statistics belong to hard mode.
+   * @param {GameStats} value - The updated statistics.
+   */
+  static setStats(wordLength, hardMode, value) {
+    localStorage.setItem(`${KEYS.stats}-${wordLength}-${hardMode ? 'hard' : 'normal'}`, JSON.stringify(value));
+  }
+
+  /**
+   * @description Word lists cached in localStorage by earlier versions, which ran into the quota with
+   * the longer dictionaries. Only read to migrate them to the IndexedDB cache in `dictionaryCache.js`.
+   * Entries written before answers and allowed words were split hold a single `dictionary` list, which
+   * is returned as both, sorted the way `hasWord` searches. Returns `null` on a cache miss, a parse
+   * error, or a structurally invalid entry.
    * @param {number} wordLength - The word length whose cache entry to look up.
-   * @returns {{ dictionary: Array<string>, ts: number } | null} The cached entry, or `null` on a miss.
+   * @returns {{ answers: Array<string>, allowed: Array<string>, ts: number } | null} The cached entry, or `null` on a miss.
    */
   static getDictionaryCache(wordLength) {
     try {
@@ -141,25 +456,54 @@ export class Storage {
       if (!raw) return null;
 
       const parsed = JSON.parse(raw);
-      return Array.isArray(parsed?.dictionary) ? parsed : null;
+      if (Array.isArray(parsed?.answers) && Array.isArray(parsed?.allowed)) return parsed;
+      if (!Array.isArray(parsed?.dictionary)) return null;
+
+      const words = [...parsed.dictionary].sort();
+      return { answers: words, allowed: words, ts: parsed.ts };
     } catch {
       return null;
     }
   }
 
   /**
-   * @description Writes a word list to the cache for future loads.
-   * @param {Array<string>} dictionary - The filtered word list to cache.
-   * @param {number} wordLength - The word length this list belongs to.
+   * @description Deletes the localStorage word lists of a word length once they have been migrated.
+   * @param {number} wordLength - The word length whose cache entry to delete.
+   */
+  static removeDictionaryCache(wordLength) {
+    localStorage.removeItem(`${KEYS.dictionary}-${wordLength}`);
+  }
+
+  /**
+   * @description Words the player added as guesses because the dictionary lacks them. Kept per
+   * word length, and only ever accepted as guesses - never drawn as a target.
+   * @param {number} wordLength - The word length whose words to look up.
+   * @returns {Array<string>} The words, sorted and free of duplicates; empty if nothing valid is stored.
    */
-  static setDictionaryCache(dictionary, wordLength) {
+  static getPersonalWords(wordLength) {
     try {
-      localStorage.setItem(
-        `${KEYS.dictionary}-${wordLength}`,
-        JSON.stringify({ dictionary, ts: Date.now() })
-      );
+      const raw = localStorage.getItem(`${KEYS.personalWords}-${wordLength}`);
+      if (!raw) return [];
+
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed)) return [];
+
+      const words = parsed.filter(word => typeof word === 'string' && word.length === wordLength && word === word.toUpperCase());
+      return [...new Set(words)].sort();
     } catch {
-      /* quota exceeded - cache silently skipped */
+      return [];
     }
   }
+
+  /**
+   * @description Persists the player's own words of a word length; an empty list removes the entry.
+   * @param {number} wordLength - The word length to record the words under.
+   * @param {Array<string>} words - The uppercase words.
+   */
+  static setPersonalWords(wordLength, words) {
+    const key = `${KEYS.personalWords}-${wordLength}`;
+
+    if (words.length === 0) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(words));
+  }
 }
@@ -0,0 +1,103 @@
+/**
+ * Compact text form of a sorted list of same-length words, as served from `Config.dictionaryPath`.
+ * Each word is written as one digit - how many leading letters it shares with the word before it -
+ * followed by the letters that differ, with no separators: every word has the same length, so the
+ * digit alone tells where the next one starts. Sorted neighbours share most of their letters, which
+ * makes the file a third of the size of a JSON array before compression.
+ * Has no imports, so `generate-dictionary.mjs` can use it under Node.
+ */
+
+/**
+ * @description Encodes a list of words for a dictionary file.
+ * @param {Array<string>} words - Sorted, duplicate-free words, all of the same length (at most 10 letters).
+ * @returns {string} The compact form; an empty string for an empty list.
+ * @throws {Error} When the words differ in length, are too long, or are not sorted and unique.
+ * @example
+ * encodeWordList(['КОТКА', 'КОТЛЕ', 'КУЧКА']); // Output: '0КОТКА3ЛЕ1УЧКА'
+ */
+export function encodeWordList(words) {
+  const wordLength = words[0]?.length ?? 0;
+  if (wordLength > 10) throw new Error(`Words longer than 10 letters cannot be encoded: ${words[0]}`);
+
+  let encoded = '';
+  let previous = '';
+
+  for (const word of words) {
+    if (word.length !== wordLength) throw new Error(`Expected ${wordLength}-letter words only, got ${word}`);
+    if (word <= previous) throw new Error(`Words must be sorted and unique, got ${word} after ${previous}`);
+
+    let shared = 0;
+    while (shared < wordLength && word[shared] === previous[shared]) shared++;
+
+    encoded += shared + word.slice(shared);
+    previous = word;
+  }
+
+  return encoded;
+}
+
+/**
+ * @description Decodes a dictionary file written by `encodeWordList`.
+ * @param {string} encoded - The compact form.
+ * @param {number} wordLength - Length of every word in the list.
+ * @returns {Array<string>} The words, sorted as they were encoded.
+ * @throws {Error} When the text is not a valid list of `wordLength`-letter words.
+ */
+export function decodeWordList(encoded, wordLength) {
+  /** @type {Array<string>} */
+  const words = [];
+  let previous = '';
+  let index = 0;
+
+  while (index < encoded.length) {
+    const shared = encoded.charCodeAt(index) - 48;
+    if (!(shared >= 0 && shared <= 9) || shared > previous.length || shared === wordLength) {
+      throw new Error(`Invalid word list at offset ${index}`);
+    }
+
+    const end = index + 1 + wordLength - shared;
+    if (end > encoded.length) throw new Error(`Truncated word list at offset ${index}`);
+
+    previous = previous.slice(0, shared) + encoded.slice(index + 1, end);
+    words.push(previous);
+    index = end;
+  }
+
+  return words;
+}
+
+/**
+ * @description Looks a word up in a sorted list by binary search, which takes about 17 comparisons
+ * for the largest dictionary instead of a scan through all of it.
+ * @param {Array<string>} words - Words sorted by code unit, as `Array.prototype.sort` leaves them.
+ * @param {string} word - The word to look for.
+ * @returns {boolean} Whether `word` is in the list.
+ */
+export function hasWord(words, word) {
+  let low = 0;
+  let high = words.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >>> 1;
+    const current = words[middle];
+
+    if (current === word) return true;
+    if (current < word) low = middle + 1;
+    else high = middle - 1;
+  }
+
+  return false;
+}
+
+/**
+ * @description Adds words to a sorted list, keeping it sorted for `hasWord`. The list itself is left
+ * untouched, since the loaded dictionary is shared with the rest of the page.
+ * @param {Array<string>} words - Words sorted by code unit.
+ * @param {Array<string>} extra - Words to add, in any order; those already in the list are skipped.
+ * @returns {Array<string>} A new sorted list, or `words` itself when nothing was added.
+ */
+export function addWords(words, extra) {
+  const missing = new Set(extra.filter(word => !hasWord(words, word)));
+
+  return missing.size === 0 ? words : [...words, ...missing].sort();
+}
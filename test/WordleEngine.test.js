@@ -0,0 +1,226 @@
+/// <reference types="node" />
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import WordleEngine from '../src/WordleEngine.js';
+
+/**
+ * Accepted guesses for the rounds below, sorted as the dictionary serves them.
+ */
+const ALLOWED = ['АКТОР', 'БАНАН', 'БЕТОН', 'КОККА', 'КОТКА', 'ЛОТОС', 'САЛАТ'].sort();
+
+/**
+ * @description Starts a round on `КОТКА` with the test dictionary.
+ * @param {Partial<import('../src/WordleEngine.js').EngineOptions>} [options] - Overrides of the defaults.
+ * @returns {WordleEngine}
+ */
+function createEngine(options = {}) {
+  return new WordleEngine({ allowed: ALLOWED, target: 'КОТКА', maxGuesses: 3, ...options });
+}
+
+describe('WordleEngine.evaluate', () => {
+  it('marks a letter present once as wrong-spot only once', () => {
+    assert.deepEqual(WordleEngine.evaluate('БАНАН', 'КОТКА'), ['missing-spot', 'wrong-spot', 'missing-spot', 'missing-spot', 'missing-spot']);
+  });
+
+  it('matches exact positions before misplaced letters', () => {
+    assert.deepEqual(WordleEngine.evaluate('ААББА', 'БАААА'), ['wrong-spot', 'correct-spot', 'wrong-spot', 'missing-spot', 'correct-spot']);
+    assert.deepEqual(WordleEngine.evaluate('БАААА', 'ААББА'), ['wrong-spot', 'correct-spot', 'wrong-spot', 'missing-spot', 'correct-spot']);
+  });
+
+  it('greys a duplicate whose only copy in the target is already green', () => {
+    assert.deepEqual(WordleEngine.evaluate('КОККА', 'КОТКА'), ['correct-spot', 'correct-spot', 'missing-spot', 'correct-spot', 'correct-spot']);
+  });
+
+  it('marks every letter green for the target itself', () => {
+    assert.deepEqual(WordleEngine.evaluate('КОТКА', 'КОТКА'), Array(5).fill('correct-spot'));
+  });
+});
+
+describe('WordleEngine#guess', () => {
+  it('rejects short and unknown words without using up an attempt', () => {
+    const engine = createEngine();
+
+    assert.deepEqual(engine.guess('КОТ').error, { type: 'notEnoughLetters' });
+    assert.deepEqual(engine.guess('ЖАБКА').error, { type: 'noSuchWord' });
+    assert.equal(engine.remainingAttempts, 3);
+    assert.deepEqual(engine.guesses, []);
+  });
+
+  it('requires revealed greens in hard mode, reporting the first position', () => {
+    const engine = createEngine({ hardMode: true });
+    engine.guess('ЛОТОС');
+
+    assert.deepEqual(engine.guess('БАНАН').error, { type: 'hardModeCorrectSpot', position: 2, letter: 'О' });
+  });
+
+  it('requires revealed yellows in hard mode once the greens are in place', () => {
+    const engine = createEngine({ hardMode: true });
+    engine.guess('АКТОР');
+
+    assert.deepEqual(engine.guess('БЕТОН').error, { type: 'hardModeWrongSpot', letter: 'А' });
+  });
+
+  it('accepts the same words outside hard mode', () => {
+    const engine = createEngine();
+    engine.guess('АКТОР');
+
+    assert.equal(engine.guess('БЕТОН').error, null);
+  });
+});
+
+describe('WordleEngine round state', () => {
+  it('ends the round when the target is guessed', () => {
+    const engine = createEngine();
+    engine.guess('БАНАН');
+
+    assert.equal(engine.isOver, false);
+    assert.equal(engine.remainingAttempts, 2);
+
+    engine.guess('КОТКА');
+
+    assert.equal(engine.isWon, true);
+    assert.equal(engine.isOver, true);
+    assert.equal(engine.remainingAttempts, 1);
+    assert.equal(engine.reward, 2);
+  });
+
+  it('ends the round when the guesses run out', () => {
+    const engine = createEngine();
+    for (const word of ['БАНАН', 'ЛОТОС', 'САЛАТ']) engine.guess(word);
+
+    assert.equal(engine.isWon, false);
+    assert.equal(engine.isOver, true);
+    assert.equal(engine.remainingAttempts, 0);
+    assert.equal(engine.reward, 0);
+    assert.throws(() => engine.guess('КОТКА'), /already over/);
+  });
+});
+
+describe('WordleEngine#replay', () => {
+  it('restores rows and hints exactly as played', () => {
+    const played = createEngine();
+    for (const word of ['АКТОР', 'ЛОТОС']) played.guess(word);
+
+    const resumed = createEngine();
+    resumed.replay(played.guesses);
+
+    assert.deepEqual(resumed.guesses, played.guesses);
+    assert.deepEqual(resumed.rowStates, played.rowStates);
+    assert.deepEqual(resumed.hints, played.hints);
+    assert.equal(resumed.remainingAttempts, 1);
+  });
+
+  it('skips validation, so words since removed from the dictionary still replay', () => {
+    const engine = createEngine({ allowed: ['КОТКА'] });
+    engine.replay(['БАНАН']);
+
+    assert.deepEqual(engine.guesses, ['БАНАН']);
+    assert.equal(engine.remainingAttempts, 2);
+  });
+
+  it('stops once the round is over', () => {
+    const engine = createEngine();
+    engine.replay(['КОТКА', 'БАНАН']);
+
+    assert.deepEqual(engine.guesses, ['КОТКА']);
+    assert.equal(engine.isWon, true);
+  });
+});
+
+describe('WordleEngine adversarial rounds', () => {
+  /**
+   * @description Starts a round that dodges guesses within `pool` instead of playing a fixed target.
+   * @param {Array<string>} pool - Words the round can settle on.
+   * @returns {WordleEngine}
+   */
+  const createAdversarialEngine = pool => new WordleEngine({ allowed: ALLOWED, pool, maxGuesses: 3 });
+
+  it('keeps the largest group of words that share the feedback', () => {
+    const engine = createAdversarialEngine(['БЕТОН', 'КОККА', 'КОСКА', 'КОТКА']);
+    const { states } = engine.guess('БАНАН');
+
+    assert.deepEqual(states, ['missing-spot', 'wrong-spot', 'missing-spot', 'missing-spot', 'missing-spot']);
+    assert.deepEqual(engine.filterCandidates(['БЕТОН', 'КОККА', 'КОСКА', 'КОТКА']), ['КОККА', 'КОСКА', 'КОТКА']);
+    assert.equal(engine.target, '');
+  });
+
+  it('breaks a tie between groups by revealing the fewest letters', () => {
+    const engine = createAdversarialEngine(['БЕТОН', 'КОТКА']);
+    const { states } = engine.guess('БАНАН');
+
+    assert.deepEqual(states, ['missing-spot', 'wrong-spot', 'missing-spot', 'missing-spot', 'missing-spot']);
+    assert.equal(engine.target, 'КОТКА');
+  });
+
+  it('dodges an exact hit and pins the target once one word is left', () => {
+    const engine = createAdversarialEngine(['КОТКА', 'ЛОТОС']);
+    const { states } = engine.guess('КОТКА');
+
+    assert.deepEqual(states, ['missing-spot', 'correct-spot', 'correct-spot', 'missing-spot', 'missing-spot']);
+    assert.equal(engine.target, 'ЛОТОС');
+    assert.equal(engine.isWon, false);
+
+    engine.guess('ЛОТОС');
+
+    assert.equal(engine.isWon, true);
+  });
+});
+
+describe('WordleEngine#hint', () => {
+  it('gives no more hints than the round allows', () => {
+    const engine = createEngine({ maxHints: 2 });
+
+    assert.notEqual(engine.hint('letter'), null);
+    assert.notEqual(engine.hint('absent'), null);
+    assert.equal(engine.remainingHints, 0);
+    assert.equal(engine.hint('letter'), null);
+    assert.equal(engine.hintLog.length, 2);
+  });
+
+  it('reveals only a letter whose position is not known yet', () => {
+    for (const random of [() => 0, () => 0.99]) {
+      const engine = createEngine();
+      engine.guess('КОККА');
+
+      assert.deepEqual(engine.hint('letter', random), { type: 'letter', position: 2, letter: 'Т' });
+    }
+
+    const resumed = createEngine();
+    resumed.replay(['КОККА']);
+    resumed.applyHint({ type: 'letter', position: 2, letter: 'Т' });
+
+    assert.equal(resumed.hints.correctPositions.get(2), 'Т');
+    assert.equal(resumed.hint('letter'), null);
+  });
+
+  it('rules out only letters the player has not seen yet', () => {
+    const engine = createEngine();
+    engine.guess('БАНАН');
+
+    assert.deepEqual(engine.hint('absent', () => 0), { type: 'absent', letter: 'Е' });
+    assert.deepEqual(engine.hint('absent', () => 0), { type: 'absent', letter: 'Л' });
+  });
+});
+
+describe('WordleEngine#filterCandidates', () => {
+  it('caps a letter at its green copies when another copy is grey', () => {
+    const engine = createEngine();
+    engine.guess('КОККА');
+
+    assert.deepEqual(engine.filterCandidates(['КОККА', 'КОСКА', 'КОТКА']), ['КОСКА', 'КОТКА']);
+  });
+
+  it('caps a letter at its yellow copies when another copy is grey', () => {
+    const engine = createEngine();
+    engine.guess('БАНАН');
+
+    assert.deepEqual(engine.filterCandidates(['АКТОР', 'ЛАТКО', 'САЛАТ', 'КОТКА']), ['АКТОР', 'КОТКА']);
+  });
+
+  it('keeps more copies than were coloured unless a grey copy sets the upper bound', () => {
+    const engine = createEngine();
+    engine.replay(['АКАКА']);
+
+    assert.deepEqual(engine.filterCandidates(['КАККА', 'КОККА', 'КОТКА']), ['КОККА', 'КОТКА']);
+  });
+});
@@ -0,0 +1,72 @@
+/// <reference types="node" />
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWordList, decodeWordList, hasWord, addWords } from '../src/utilities/wordList.js';
+
+/**
+ * Sorted words sharing ever longer prefixes, with letters from across the alphabet.
+ */
+const WORDS = ['АБАЖУР', 'ЖЪЛТЪК', 'КОТЕЛА', 'КОТЕЛИ', 'КОТЕЛО', 'КОТЛЕТ', 'ЩЪРКЕЛ', 'ЯБЪЛКА'];
+
+describe('encodeWordList and decodeWordList', () => {
+  it('writes each word as the letters it does not share with the previous one', () => {
+    assert.equal(encodeWordList(['КОТКА', 'КОТЛЕ', 'КОТЛИ', 'КУЧКА']), '0КОТКА3ЛЕ4И1УЧКА');
+  });
+
+  it('round-trips runs of shared prefixes', () => {
+    const encoded = encodeWordList(WORDS);
+
+    assert.equal(encoded, '0АБАЖУР0ЖЪЛТЪК0КОТЕЛА5И5О3ЛЕТ0ЩЪРКЕЛ0ЯБЪЛКА');
+    assert.deepEqual(decodeWordList(encoded, 6), WORDS);
+  });
+
+  it('round-trips Cyrillic through the UTF-8 bytes of a file', () => {
+    const bytes = Buffer.from(encodeWordList(WORDS), 'utf-8');
+
+    assert.ok(bytes.length > encodeWordList(WORDS).length);
+    assert.deepEqual(decodeWordList(bytes.toString('utf-8'), 6), WORDS);
+  });
+
+  it('encodes an empty list as an empty file', () => {
+    assert.equal(encodeWordList([]), '');
+    assert.deepEqual(decodeWordList('', 5), []);
+  });
+
+  it('refuses lists that are unsorted, repeated or of mixed length', () => {
+    assert.throws(() => encodeWordList(['КОТКА', 'БАНАН']), /sorted and unique/);
+    assert.throws(() => encodeWordList(['КОТКА', 'КОТКА']), /sorted and unique/);
+    assert.throws(() => encodeWordList(['КОТКА', 'КОТЕНЦЕ']), /5-letter words only/);
+  });
+
+  it('refuses text that is not a word list of the given length', () => {
+    assert.throws(() => decodeWordList('0КОТКА3Л', 5), /Truncated/);
+    assert.throws(() => decodeWordList('КОТКА', 5), /Invalid/);
+    assert.throws(() => decodeWordList('0КОТКА5', 5), /Invalid/);
+  });
+});
+
+describe('hasWord', () => {
+  it('finds every word of the list and nothing else', () => {
+    for (const word of WORDS) assert.equal(hasWord(WORDS, word), true);
+
+    for (const word of ['ААААААА', 'КОТЕЛЕ', 'ЯЯЯЯЯЯ', '']) assert.equal(hasWord(WORDS, word), false);
+    assert.equal(hasWord([], 'КОТКА'), false);
+  });
+});
+
+describe('addWords', () => {
+  it('merges new words into a new sorted list', () => {
+    const words = ['БАНАН', 'КОТКА'];
+    const merged = addWords(words, ['ЯБЪЛК', 'АКТОР', 'КОТКА', 'АКТОР']);
+
+    assert.deepEqual(merged, ['АКТОР', 'БАНАН', 'КОТКА', 'ЯБЪЛК']);
+    assert.deepEqual(words, ['БАНАН', 'КОТКА']);
+    assert.equal(hasWord(merged, 'ЯБЪЛК'), true);
+  });
+
+  it('returns the list itself when every word is already in it', () => {
+    const words = ['БАНАН', 'КОТКА'];
+
+    assert.equal(addWords(words, ['КОТКА']), words);
+  });
+});
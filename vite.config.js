@@ -1,4 +1,5 @@
 import fs from 'node:fs';
+import crypto from 'node:crypto';
 import path from 'node:path';
 import { defineConfig } from 'vite';
 import { viteStaticCopy } from 'vite-plugin-static-copy';
@@ -59,6 +60,7 @@ export default defineConfig({
     viteStaticCopy({ targets: [{ src: 'assets/images', dest: './assets', overwrite: false }] }),
     createHtmlPlugin({ minify: true, inject: { data: { BASE_URL: process.env.BASE_URL } } }),
     injectBaseUrl(),
+    serviceWorker(),
   ]
 });
 
@@ -101,3 +103,62 @@ function injectBaseUrl() {
     },
   };
 }
+
+/**
+ * Writes `sw.js` from `src/serviceWorker.js` once the build output is final (after the static copy
+ * and `injectBaseUrl`), listing every output file for the worker to precache. The version is a hash of
+ * those files, so any deployment that changes one of them installs a fresh cache and offers a reload.
+ * The page itself is cached under the base URL, and the link-preview thumbnail is left out. Word
+ * definitions are only read at the end of a round, so they count towards the version but are cached
+ * by the worker when first fetched rather than downloaded on install.
+ * @returns {import('vite').PluginOption}
+ */
+function serviceWorker() {
+  const skip = [/^index\.html$/, /^sw\.js$/, /thumbnail\.png$/];
+  const onDemand = [/\.definitions\.json$/];
+  let root;
+  let outDir;
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(config) {
+      root = config.root;
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      const files = [];
+
+      const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const full = path.join(dir, entry.name);
+
+          if (entry.isDirectory()) {
+            walk(full);
+            continue;
+          }
+
+          const file = path.relative(outDir, full).split(path.sep).join('/');
+          if (!skip.some(pattern => pattern.test(file))) files.push(file);
+        }
+      };
+
+      walk(outDir);
+      files.sort();
+
+      const hash = crypto.createHash('sha256');
+      for (const file of ['index.html', ...files]) hash.update(file).update(fs.readFileSync(path.join(outDir, file)));
+
+      const base = process.env.BASE_URL;
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        shell: base,
+        dictionaryPath: `${base}dictionary/`,
+        urls: [base, ...files.filter(file => !onDemand.some(pattern => pattern.test(file))).map(file => `${base}${file}`)],
+      };
+
+      const source = fs.readFileSync(path.resolve(root, 'src/serviceWorker.js'), 'utf-8');
+      fs.writeFileSync(path.join(outDir, 'sw.js'), source.replace('\'__PRECACHE_MANIFEST__\'', JSON.stringify(manifest)));
+    },
+  };
+}